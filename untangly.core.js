@@ -0,0 +1,2594 @@
+/**
+ * The parts of Untang.ly that don't need a page to run: reading path data,
+ * laying out labels and connectors, the shapes of every category and
+ * exporting diagrams. They're loaded before untangly.js in the browser, and
+ * can be required on their own elsewhere, eg. to export diagrams to images on
+ * a server or by continuous integration:
+ *
+ *  var U = require("./untangly.core.js");
+ *
+ * Nothing here touches the page, jQuery or the SVG/VML library.
+ *
+ * @module Untangly
+ */
+var U = U || {};
+
+
+/**
+ * Reads SVG Path Data (http://www.w3.org/TR/SVG/paths.html#PathData) so that
+ * shapes can be measured and drawn without the SVG/VML library.
+ *
+ * @class path
+ * @namespace U
+ *
+ * @static
+ */
+U.path = (function () {
+
+    // Dependencies
+    var //jQuery = jQuery || {},
+
+
+    // Private properties
+        /**
+         * The number of values taken by each path command.
+         *
+         * @property arity
+         * @type object
+         *
+         * @private
+         */
+        arity = {
+            M: 2,
+            L: 2,
+            H: 1,
+            V: 1,
+            C: 6,
+            S: 4,
+            Q: 4,
+            T: 2,
+            A: 7,
+            Z: 0
+        },
+
+
+    // Private methods
+        /**
+         * Splits path data into its commands.
+         *
+         * Commands repeated implicitly are written out, eg. "L 1 2 3 4" is
+         * returned as [["L", 1, 2], ["L", 3, 4]]. Pairs following a move are
+         * lines as defined by the specification.
+         *
+         * @method parse
+         *
+         * @param {string} pathData
+         *
+         * @return {array} Each command is an array of its letter followed by
+         *      its values.
+         */
+        parse = function parse(pathData) {
+
+            var tokens = String(pathData).match(
+                    /[a-zA-Z]|[\-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][\-+]?\d+)?/g) || [],
+                segments = [],
+                command,
+                segment,
+                i;
+
+            for (i = 0; i < tokens.length; i += 1) {
+                if (/[a-zA-Z]/.test(tokens[i])) {
+                    command = tokens[i];
+                    segment = [command];
+
+                    if (command.toUpperCase() === "Z") {
+                        segments.push(segment);
+                    }
+                } else if (command && command.toUpperCase() !== "Z") {
+                    if (segment.length > arity[command.toUpperCase()]) { // implicit repetition
+                        if (command === "M") {
+                            command = "L";
+                        } else if (command === "m") {
+                            command = "l";
+                        }
+
+                        segment = [command];
+                    }
+
+                    segment.push(+tokens[i]);
+
+                    if (segment.length > arity[command.toUpperCase()]) {
+                        segments.push(segment);
+                    }
+                }
+            }
+
+            return segments;
+
+        },
+
+        /**
+         * Returns the commands of the path data with all coordinates made
+         * absolute, leaving only the "M", "L", "C", "Q", "A" and "Z" commands.
+         *
+         * @method absolute
+         *
+         * @param {string} pathData
+         *
+         * @return {array} As returned by "parse".
+         */
+        absolute = function absolute(pathData) {
+
+            var segments = parse(pathData),
+                result = [],
+                x = 0, // current point
+                y = 0,
+                startX = 0, // start of the current subpath
+                startY = 0,
+                controlX = 0, // last control point, for "S" and "T"
+                controlY = 0,
+                previous = "",
+                segment,
+                command,
+                relative,
+                dx,
+                dy,
+                i;
+
+            for (i = 0; i < segments.length; i += 1) {
+                segment = segments[i];
+                command = segment[0].toUpperCase();
+                relative = segment[0] !== command;
+                dx = relative ? x : 0;
+                dy = relative ? y : 0;
+
+                switch (command) {
+                case "M":
+                    x = startX = segment[1] + dx;
+                    y = startY = segment[2] + dy;
+                    result.push(["M", x, y]);
+                    break;
+
+                case "L":
+                    x = segment[1] + dx;
+                    y = segment[2] + dy;
+                    result.push(["L", x, y]);
+                    break;
+
+                case "H":
+                    x = segment[1] + dx;
+                    result.push(["L", x, y]);
+                    break;
+
+                case "V":
+                    y = segment[1] + dy;
+                    result.push(["L", x, y]);
+                    break;
+
+                case "C":
+                    result.push(["C", segment[1] + dx, segment[2] + dy,
+                            segment[3] + dx, segment[4] + dy]);
+                    controlX = segment[3] + dx;
+                    controlY = segment[4] + dy;
+                    x = segment[5] + dx;
+                    y = segment[6] + dy;
+                    result[result.length - 1].push(x, y);
+                    break;
+
+                case "S":
+                    result.push(["C",
+                            previous === "C" ? 2 * x - controlX : x, // reflection of the last control point
+                            previous === "C" ? 2 * y - controlY : y,
+                            segment[1] + dx, segment[2] + dy]);
+                    controlX = segment[1] + dx;
+                    controlY = segment[2] + dy;
+                    x = segment[3] + dx;
+                    y = segment[4] + dy;
+                    result[result.length - 1].push(x, y);
+                    command = "C";
+                    break;
+
+                case "Q":
+                    controlX = segment[1] + dx;
+                    controlY = segment[2] + dy;
+                    x = segment[3] + dx;
+                    y = segment[4] + dy;
+                    result.push(["Q", controlX, controlY, x, y]);
+                    break;
+
+                case "T":
+                    controlX = previous === "Q" ? 2 * x - controlX : x;
+                    controlY = previous === "Q" ? 2 * y - controlY : y;
+                    x = segment[1] + dx;
+                    y = segment[2] + dy;
+                    result.push(["Q", controlX, controlY, x, y]);
+                    command = "Q";
+                    break;
+
+                case "A":
+                    x = segment[6] + dx;
+                    y = segment[7] + dy;
+                    result.push(["A", segment[1], segment[2], segment[3],
+                            segment[4], segment[5], x, y]);
+                    break;
+
+                case "Z":
+                    x = startX;
+                    y = startY;
+                    result.push(["Z"]);
+                    break;
+                }
+
+                previous = command;
+            }
+
+            return result;
+
+        },
+
+        /**
+         * Returns the values a cubic Bézier curve takes along one axis at its
+         * turning points, given the values of its end and control points
+         * along that axis.
+         *
+         * @method extrema
+         *
+         * @param {number} p0 Start point.
+         * @param {number} p1 First control point.
+         * @param {number} p2 Second control point.
+         * @param {number} p3 End point.
+         *
+         * @return {array}
+         *
+         * @private
+         */
+        extrema = function extrema(p0, p1, p2, p3) {
+
+            // The derivative is the quadratic a * t^2 + b * t + c
+            var a = 3 * (-p0 + 3 * p1 - 3 * p2 + p3),
+                b = 6 * (p0 - 2 * p1 + p2),
+                c = 3 * (p1 - p0),
+                roots = [],
+                values = [],
+                discriminant,
+                t,
+                i;
+
+            if (Math.abs(a) < 1e-9) {
+                if (Math.abs(b) > 1e-9) {
+                    roots.push(-c / b);
+                }
+            } else {
+                discriminant = b * b - 4 * a * c;
+
+                if (discriminant >= 0) {
+                    roots.push((-b + Math.sqrt(discriminant)) / (2 * a),
+                            (-b - Math.sqrt(discriminant)) / (2 * a));
+                }
+            }
+
+            for (i = 0; i < roots.length; i += 1) {
+                t = roots[i];
+
+                if (t > 0 && t < 1) {
+                    values.push(Math.pow(1 - t, 3) * p0 +
+                            3 * Math.pow(1 - t, 2) * t * p1 +
+                            3 * (1 - t) * t * t * p2 + Math.pow(t, 3) * p3);
+                }
+            }
+
+            return values;
+
+        },
+
+        /**
+         * Converts an elliptical arc, as described by the SVG arc command, from
+         * its end points to its centre as described in the implementation
+         * notes of the SVG specification (http://www.w3.org/TR/SVG/implnote.html).
+         *
+         * @method ellipse
+         *
+         * @param {number} x1 Current point.
+         * @param {number} y1
+         * @param {array} segment "A" command as returned by "absolute".
+         *
+         * @return {object} Has the centre "cx" and "cy", the radii "rx" and
+         *      "ry", the rotation "phi" and the "start" and "delta" angles of
+         *      the arc, all angles in radians. Null if the arc is a straight
+         *      line because a radius is 0.
+         *
+         * @private
+         */
+        ellipse = function ellipse(x1, y1, segment) {
+
+            var rx = Math.abs(segment[1]),
+                ry = Math.abs(segment[2]),
+                phi = segment[3] * Math.PI / 180,
+                large = !!segment[4],
+                sweep = !!segment[5],
+                x2 = segment[6],
+                y2 = segment[7],
+                cos = Math.cos(phi),
+                sin = Math.sin(phi),
+                dx = (x1 - x2) / 2,
+                dy = (y1 - y2) / 2,
+                x1p = cos * dx + sin * dy, // current point in the rotated frame of the ellipse
+                y1p = -sin * dx + cos * dy,
+                lambda,
+                coefficient,
+                cxp,
+                cyp,
+                start,
+                delta,
+                angle = function angle(ux, uy, vx, vy) {
+
+                    return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+
+                };
+
+            if (!rx || !ry) {
+                return null;
+            }
+
+            // Scale up radii that are too small to reach the end point
+            lambda = x1p * x1p / (rx * rx) + y1p * y1p / (ry * ry);
+            if (lambda > 1) {
+                rx *= Math.sqrt(lambda);
+                ry *= Math.sqrt(lambda);
+            }
+
+            coefficient = (large === sweep ? -1 : 1) * Math.sqrt(Math.max(0,
+                    (rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p) /
+                    (rx * rx * y1p * y1p + ry * ry * x1p * x1p)));
+            cxp = coefficient * rx * y1p / ry;
+            cyp = -coefficient * ry * x1p / rx;
+
+            start = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+            delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry,
+                    (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+            if (!sweep && delta > 0) {
+                delta -= 2 * Math.PI;
+            } else if (sweep && delta < 0) {
+                delta += 2 * Math.PI;
+            }
+
+            return {
+                cx: cos * cxp - sin * cyp + (x1 + x2) / 2,
+                cy: sin * cxp + cos * cyp + (y1 + y2) / 2,
+                rx: rx,
+                ry: ry,
+                phi: phi,
+                start: start,
+                delta: delta
+            };
+
+        },
+
+        /**
+         * Returns the bounding box of the path data. Arcs are measured at
+         * sixteen points along their length.
+         *
+         * @method bbox
+         *
+         * @param {string} pathData
+         *
+         * @return {object} Has the properties "x", "y", "width" and "height".
+         */
+        bbox = function bbox(pathData) {
+
+            var segments = absolute(pathData),
+                xs = [],
+                ys = [],
+                x = 0, // current point
+                y = 0,
+                startX = 0,
+                startY = 0,
+                segment,
+                c, // control points of the curve as a cubic curve
+                e,
+                theta,
+                i,
+                j;
+
+            for (i = 0; i < segments.length; i += 1) {
+                segment = segments[i];
+
+                switch (segment[0]) {
+                case "M":
+                    startX = segment[1];
+                    startY = segment[2];
+                    break;
+
+                case "Q": // a quadratic curve is the cubic curve with these control points
+                    c = [x + 2 / 3 * (segment[1] - x), y + 2 / 3 * (segment[2] - y),
+                            segment[3] + 2 / 3 * (segment[1] - segment[3]),
+                            segment[4] + 2 / 3 * (segment[2] - segment[4])];
+                    xs = xs.concat(extrema(x, c[0], c[2], segment[3]));
+                    ys = ys.concat(extrema(y, c[1], c[3], segment[4]));
+                    break;
+
+                case "C":
+                    xs = xs.concat(extrema(x, segment[1], segment[3], segment[5]));
+                    ys = ys.concat(extrema(y, segment[2], segment[4], segment[6]));
+                    break;
+
+                case "A":
+                    e = ellipse(x, y, segment);
+
+                    for (j = 1; e && j < 16; j += 1) {
+                        theta = e.start + e.delta * j / 16;
+                        xs.push(e.cx + e.rx * Math.cos(theta) * Math.cos(e.phi) -
+                                e.ry * Math.sin(theta) * Math.sin(e.phi));
+                        ys.push(e.cy + e.rx * Math.cos(theta) * Math.sin(e.phi) +
+                                e.ry * Math.sin(theta) * Math.cos(e.phi));
+                    }
+                    break;
+
+                case "Z":
+                    x = startX;
+                    y = startY;
+                    continue;
+                }
+
+                // End point
+                x = segment[segment.length - 2];
+                y = segment[segment.length - 1];
+                xs.push(x);
+                ys.push(y);
+            }
+
+            if (!xs.length) {
+                return {x: 0, y: 0, width: 0, height: 0};
+            }
+
+            x = Math.min.apply(Math, xs);
+            y = Math.min.apply(Math, ys);
+
+            return {
+                x: x,
+                y: y,
+                width: Math.max.apply(Math, xs) - x,
+                height: Math.max.apply(Math, ys) - y
+            };
+
+        },
+
+        /**
+         * Traces the path data onto a 2D canvas context as a new path, ready
+         * to be filled or stroked.
+         *
+         * @method trace
+         *
+         * @param {object} context CanvasRenderingContext2D.
+         * @param {string} pathData
+         */
+        trace = function trace(context, pathData) {
+
+            var segments = absolute(pathData),
+                segment,
+                x = 0, // current point, needed by arcs
+                y = 0,
+                startX = 0, // start of the current subpath
+                startY = 0,
+                e,
+                i;
+
+            context.beginPath();
+
+            for (i = 0; i < segments.length; i += 1) {
+                segment = segments[i];
+
+                switch (segment[0]) {
+                case "M":
+                    context.moveTo(segment[1], segment[2]);
+                    startX = segment[1];
+                    startY = segment[2];
+                    break;
+
+                case "L":
+                    context.lineTo(segment[1], segment[2]);
+                    break;
+
+                case "C":
+                    context.bezierCurveTo(segment[1], segment[2], segment[3],
+                            segment[4], segment[5], segment[6]);
+                    break;
+
+                case "Q":
+                    context.quadraticCurveTo(segment[1], segment[2], segment[3],
+                            segment[4]);
+                    break;
+
+                case "A":
+                    e = ellipse(x, y, segment);
+
+                    if (e && context.ellipse) {
+                        context.ellipse(e.cx, e.cy, e.rx, e.ry, e.phi, e.start,
+                                e.start + e.delta, e.delta < 0);
+                    } else {
+                        context.lineTo(segment[6], segment[7]);
+                    }
+                    break;
+
+                case "Z":
+                    context.closePath();
+                    break;
+                }
+
+                if (segment[0] === "Z") {
+                    x = startX;
+                    y = startY;
+                } else {
+                    x = segment[segment.length - 2];
+                    y = segment[segment.length - 1];
+                }
+            }
+
+        },
+
+        /**
+         * Scales the path data about the origin and then moves it, returning
+         * path data with all coordinates made absolute (see "absolute").
+         *
+         * @method transform
+         *
+         * @param {string} pathData
+         * @param {number|array} scale Either one factor for both axes or a
+         *      factor for each (0 = x, 1 = y). Arcs are only scaled exactly by
+         *      different factors when they aren't rotated.
+         * @param {number} dx Distance to move along the x axis.
+         * @param {number} dy Distance to move along the y axis.
+         *
+         * @return {string}
+         */
+        transform = function transform(pathData, scale, dx, dy) {
+
+            var segments = absolute(pathData),
+                result = [],
+                sx = typeof scale === "number" ? scale : scale[0],
+                sy = typeof scale === "number" ? scale : scale[1],
+                segment,
+                round = function round(value) {
+
+                    return Math.round(value * 1000) / 1000;
+
+                },
+                i,
+                j;
+
+            for (i = 0; i < segments.length; i += 1) {
+                segment = segments[i].slice();
+
+                if (segment[0] === "A") {
+                    segment[1] = round(segment[1] * sx); // radii
+                    segment[2] = round(segment[2] * sy);
+                    segment[6] = round(segment[6] * sx + dx); // end point
+                    segment[7] = round(segment[7] * sy + dy);
+                } else {
+                    for (j = 1; j < segment.length; j += 2) {
+                        segment[j] = round(segment[j] * sx + dx);
+                        segment[j + 1] = round(segment[j + 1] * sy + dy);
+                    }
+                }
+
+                result.push(segment.join(" "));
+            }
+
+            return result.join(" ");
+
+        };
+
+    // End var
+
+
+    // Public API
+    return {
+        parse: parse,
+        absolute: absolute,
+        bbox: bbox,
+        trace: trace,
+        transform: transform
+    };
+
+}());
+
+
+/**
+ * Keeps the shapes of every category, as defined in normalised units, apart
+ * from the previews U.Shapes draws of them, so that diagrams can be exported
+ * (see U.exporter) where there's no page to draw previews on.
+ *
+ * Each shape is defined by either its path data alone or a definition:
+ *
+ *  {
+ *      "name": "Process",
+ *      "path": "M 0 0 h 1 v 1 h -1 Z",
+ *      "size": {"width": 1, "height": 0.618},
+ *      "tooltip": "Generic processing step"
+ *  }
+ *
+ * where "size" [optional] is the part of the node's space the shape is
+ * stretched to fill, centred, either for each dimension or as a single number
+ * for both (defaults to 1), and "tooltip" [optional] defaults to the "name".
+ * A definition may also set "filled" [optional] to true for shapes drawn
+ * solid in the colour of their outline, such as the initial node of an
+ * activity diagram, and "element" [optional] to the type of element the shape
+ * stands for in a notation, such as "bpmn:task". Nodes engaged with the shape
+ * record its element so that its meaning isn't lost to its looks.
+ *
+ * @class catalogue
+ * @namespace U
+ *
+ * @static
+ */
+U.catalogue = (function () {
+
+    // Dependencies
+    var path = U.path,
+
+
+    // Private properties
+        /**
+         * Holds each category, in the order they were first added to:
+         *  - name: the name of the category
+         *  - shapes: the shapes (as returned by "define") in the order they
+         *      were added
+         *
+         * @property categories
+         * @type array
+         *
+         * @private
+         */
+        categories = [],
+
+        /**
+         * The path data of every shape added that's drawn solid (see
+         * "filled" at the top of this class), as keys set to true.
+         *
+         * @property solid
+         * @type object
+         *
+         * @private
+         */
+        solid = {},
+
+
+    // Private methods
+        /**
+         * Returns the category of the given name, creating it if there's
+         * none.
+         *
+         * @method categoryOf
+         *
+         * @param {string} categoryName
+         *
+         * @return {object} Entry of "categories".
+         *
+         * @private
+         */
+        categoryOf = function categoryOf(categoryName) {
+
+            var i;
+
+            for (i = 0; i < categories.length; i += 1) {
+                if (categories[i].name === categoryName) {
+                    return categories[i];
+                }
+            }
+
+            categories.push({
+                name: categoryName,
+                shapes: []
+            });
+
+            return categories[categories.length - 1];
+
+        },
+
+        /**
+         * Reads a shape definition (see the top of this class), fitting the
+         * path data to the size of the shape.
+         *
+         * @method define
+         *
+         * @param {string|object} definition Path data or a definition.
+         *
+         * @return {object} Has the "path" data filling the node's space as it
+         *      should, the "name", the "tooltip", whether it's "filled" and
+         *      its "element" if it has one.
+         *
+         * @throws {Error} If the definition has no path data or its size
+         *      isn't between 0 and 1.
+         */
+        define = function define(definition) {
+
+            var size,
+                width,
+                height,
+                segments;
+
+            if (typeof definition === "string") {
+                definition = {
+                    path: definition
+                };
+            }
+
+            definition = definition || {};
+            size = definition.size === undefined ? 1 : definition.size;
+            width = typeof size === "number" ? size : size.width;
+            height = typeof size === "number" ? size : size.height;
+
+            segments = typeof definition.path === "string" ?
+                    path.parse(definition.path) : [];
+
+            if (!segments.length || segments[0][0].toUpperCase() !== "M") {
+                throw new Error("Shape " + (definition.name ? "\"" +
+                        definition.name + "\" " : "") + "has no path data");
+            }
+
+            if (!(width > 0 && width <= 1 && height > 0 && height <= 1)) {
+                throw new Error("Shape " + (definition.name ? "\"" +
+                        definition.name + "\" " : "") +
+                        "must be sized between 0 and 1");
+            }
+
+            return {
+                path: width === 1 && height === 1 ? definition.path :
+                        path.transform(definition.path, [width, height],
+                        (1 - width) / 2, (1 - height) / 2),
+                name: definition.name || "",
+                tooltip: definition.tooltip || definition.name || "",
+                filled: definition.filled === true,
+                element: definition.element || undefined
+            };
+
+        },
+
+        /**
+         * Adds a shape to the category, creating the category if it's new.
+         *
+         * @method add
+         *
+         * @param {string} categoryName
+         * @param {string|object} definition Path data or a definition (see
+         *      the top of this class).
+         *
+         * @return {object} The shape, as returned by "define".
+         *
+         * @throws {Error} If the definition isn't valid.
+         */
+        add = function add(categoryName, definition) {
+
+            var shape = define(definition);
+
+            if (shape.filled) {
+                solid[shape.path] = true;
+            }
+
+            categoryOf(categoryName).shapes.push(shape);
+
+            return shape;
+
+        },
+
+        /**
+         * Returns the names of the categories, in the order they were first
+         * added to.
+         *
+         * @method names
+         *
+         * @return {array}
+         */
+        names = function names() {
+
+            var list = [],
+                i;
+
+            for (i = 0; i < categories.length; i += 1) {
+                list.push(categories[i].name);
+            }
+
+            return list;
+
+        },
+
+        /**
+         * Returns the shapes of the category.
+         *
+         * @method shapes
+         *
+         * @param {string} categoryName
+         *
+         * @return {array} As returned by "define", in the order they were
+         *      added; empty if there's no such category.
+         */
+        shapes = function shapes(categoryName) {
+
+            var i;
+
+            for (i = 0; i < categories.length; i += 1) {
+                if (categories[i].name === categoryName) {
+                    return categories[i].shapes.slice();
+                }
+            }
+
+            return [];
+
+        },
+
+        /**
+         * Returns the shape of the given name in the given category.
+         *
+         * @method find
+         *
+         * @param {string} categoryName
+         * @param {string} shapeName
+         *
+         * @return {object} As returned by "define", or null if there's no such
+         *      shape.
+         */
+        find = function find(categoryName, shapeName) {
+
+            var list = shapes(categoryName),
+                i;
+
+            for (i = 0; i < list.length; i += 1) {
+                if (list[i].name === shapeName) {
+                    return list[i];
+                }
+            }
+
+            return null;
+
+        },
+
+        /**
+         * Tells whether the shape with the given path data is drawn solid (see
+         * "filled" at the top of this class).
+         *
+         * @method isFilled
+         *
+         * @param {string} pathData Path data in normalised units, as recorded
+         *      by the nodes engaged with it.
+         *
+         * @return {boolean}
+         */
+        isFilled = function isFilled(pathData) {
+
+            return solid.hasOwnProperty(pathData);
+
+        };
+
+    // End var
+
+
+    // Public API
+    return {
+        define: define,
+        add: add,
+        names: names,
+        shapes: shapes,
+        find: find,
+        isFilled: isFilled
+    };
+
+}());
+
+
+/**
+ * Lays out the text of labels so that it fits inside the shapes of nodes,
+ * independently of whether it's drawn on the canvas or exported.
+ *
+ * @class text
+ * @namespace U
+ *
+ * @static
+ */
+U.text = (function () {
+
+    // Dependencies
+    var //jQuery = jQuery || {},
+
+
+    // Private properties
+        /**
+         * Font family of labels.
+         *
+         * @property font
+         * @type string
+         */
+        font = "Verdana, Arial, sans-serif",
+
+        /**
+         * Font sizes, largest first, tried in turn until a label fits.
+         *
+         * @property sizes
+         * @type array
+         */
+        sizes = [12, 11, 10, 9, 8],
+
+        /**
+         * Distance between the baselines of lines as a multiple of the font
+         * size (the same as used by the SVG/VML library).
+         *
+         * @property leading
+         * @type number
+         */
+        leading = 1.2,
+
+
+    // Private methods
+        /**
+         * Returns the width of text estimated from the average width of the
+         * characters of the label font. Used where text can't be measured.
+         *
+         * @method estimate
+         *
+         * @param {string} content
+         * @param {number} size Font size in pixels.
+         *
+         * @return {number}
+         */
+        estimate = function estimate(content, size) {
+
+            return content.length * size * 0.62;
+
+        },
+
+        /**
+         * Returns the space available to a label inside a shape of the given
+         * dimensions, keeping clear of the stroke.
+         *
+         * @method area
+         *
+         * @param {object} shape Has the "width" and "height" of the shape.
+         * @param {number|array} object The maximum size of a shape (see the
+         *      CANVAS section at the top of this file), or its maximum width
+         *      and height (0 = width, 1 = height) if it spans several cells.
+         *
+         * @return {object} Has the properties "width" and "height".
+         */
+        area = function area(shape, object) {
+
+            return {
+                width: Math.min(shape.width, typeof object === "number" ? object : object[0]) - 12,
+                height: Math.min(shape.height, typeof object === "number" ? object : object[1]) - 8
+            };
+
+        },
+
+        /**
+         * Breaks the given text into lines no wider than the given width.
+         * Words are only broken apart if they don't fit on a line of their
+         * own and "breakWords" is set.
+         *
+         * @method wrap
+         *
+         * @param {string} content
+         * @param {number} width Maximum width of a line in pixels.
+         * @param {number} size Font size in pixels.
+         * @param {function} measure Returns the width of the given text at the
+         *      given font size.
+         * @param {boolean} breakWords
+         *
+         * @return {array} The lines.
+         *
+         * @private
+         */
+        wrap = function wrap(content, width, size, measure, breakWords) {
+
+            var paragraphs = content.split("\n"),
+                lines = [],
+                words,
+                line,
+                candidate,
+                i,
+                j;
+
+            for (i = 0; i < paragraphs.length; i += 1) {
+                words = paragraphs[i].replace(/^\s+|\s+$/g, "").split(/\s+/);
+                line = "";
+
+                for (j = 0; j < words.length; j += 1) {
+                    candidate = line ? line + " " + words[j] : words[j];
+
+                    if (line && measure(candidate, size) > width) {
+                        lines.push(line);
+                        candidate = words[j];
+                    }
+
+                    // Split a word that's too long even on a line of its own
+                    while (breakWords && candidate.length > 1 &&
+                            measure(candidate, size) > width) {
+                        line = candidate;
+
+                        while (line.length > 1 && measure(line, size) > width) {
+                            line = line.substr(0, line.length - 1);
+                        }
+
+                        lines.push(line);
+                        candidate = candidate.substr(line.length);
+                    }
+
+                    line = candidate;
+                }
+
+                lines.push(line);
+            }
+
+            return lines;
+
+        },
+
+        /**
+         * Wraps the text, shrinking the font as needed for it to fit within
+         * the given area. If it doesn't fit at the smallest font size the
+         * overflowing lines are cut off.
+         *
+         * @method fit
+         *
+         * @param {string} content
+         * @param {object} space Has the available "width" and "height" in
+         *      pixels (see "area").
+         * @param {function} measure [Optional] Returns the width of the given
+         *      text at the given font size. Defaults to "estimate".
+         *
+         * @return {object} Has the "lines" of text and the font "size".
+         */
+        fit = function fit(content, space, measure) {
+
+            var lines,
+                size,
+                maxLines,
+                i;
+
+            measure = measure || estimate;
+
+            for (i = 0; i < sizes.length; i += 1) {
+                size = sizes[i];
+                maxLines = Math.max(1, Math.floor(space.height / (size * leading)));
+
+                lines = wrap(content, space.width, size, measure,
+                        i === sizes.length - 1);
+
+                if (lines.length <= maxLines) {
+                    break;
+                }
+            }
+
+            if (lines.length > maxLines) {
+                lines = lines.slice(0, maxLines);
+                lines[maxLines - 1] += "\u2026"; // ellipsis
+            }
+
+            return {
+                lines: lines,
+                size: size
+            };
+
+        },
+
+        /**
+         * Lays out a title above a list of entries, one per line, divided
+         * from them by a line across the shape (eg. the name of an entity
+         * above its attributes). The title is fitted on a single line at the
+         * top of the shape and the entries in the space left below it.
+         *
+         * @method compartments
+         *
+         * @param {string} title
+         * @param {array} entries Strings.
+         * @param {object} box Has the "x" and "y" of the top left corner of
+         *      the shape, its "width" and its "height".
+         * @param {number|array} object As for "area".
+         * @param {function} measure [Optional] As for "fit".
+         *
+         * @return {object} Has the following properties:
+         *  - title: as returned by "fit", with the "x" and "y" of the middle
+         *      of its line
+         *  - divider: the "y" of the dividing line and the "x1" and "x2" of
+         *      its ends
+         *  - entries: as returned by "fit", with the "x" of the start of its
+         *      lines and the "y" of the middle of the first
+         */
+        compartments = function compartments(title, entries, box, object, measure) {
+
+            var space = area(box, object),
+                top = box.y + (box.height - space.height) / 2,
+                titled = fit(title || "", {
+                    width: space.width,
+                    height: sizes[0] * leading // a single line
+                }, measure),
+                header = titled.size * leading,
+                listed = fit(entries.join("\n"), {
+                    width: space.width,
+                    height: space.height - header - 8
+                }, measure);
+
+            titled.x = box.x + box.width / 2;
+            titled.y = top + header / 2;
+
+            listed.x = box.x + (box.width - space.width) / 2;
+            listed.y = top + header + 8 + listed.size * leading / 2;
+
+            return {
+                title: titled,
+                divider: {
+                    y: top + header + 4,
+                    x1: box.x,
+                    x2: box.x + box.width
+                },
+                entries: listed
+            };
+
+        };
+
+    // End var
+
+
+    // Public API
+    return {
+        font: font,
+        leading: leading,
+        estimate: estimate,
+        area: area,
+        fit: fit,
+        compartments: compartments
+    };
+
+}());
+
+
+/**
+ * Routes connectors between nodes along the gaps of the grid (see the
+ * CONNECTORS section at the top of this file).
+ *
+ * Routing is worked out from grid coordinates alone so that connectors can be
+ * drawn for a diagram without it being displayed on the canvas.
+ *
+ * @class connector
+ * @namespace U
+ *
+ * @static
+ */
+U.connector = (function () {
+
+    // Dependencies
+    var // none
+
+
+    // Private properties
+        /**
+         * Length of the arrowhead from its base to its tip in pixels.
+         *
+         * @property arrowLength
+         * @type number
+         *
+         * @private
+         */
+        arrowLength = 11,
+
+        /**
+         * Width of the base of the arrowhead in pixels.
+         *
+         * @property arrowWidth
+         * @type number
+         *
+         * @private
+         */
+        arrowWidth = 9,
+
+        /**
+         * Width of the markers of cardinality across the line in pixels.
+         *
+         * @property markerWidth
+         * @type number
+         *
+         * @private
+         */
+        markerWidth = 14,
+
+        /**
+         * Cardinalities that each end of a relationship can have, in the
+         * order they're cycled through, as drawn in crow's foot notation:
+         *  - one: two bars
+         *  - zero-or-one: a bar and a ring
+         *  - one-or-many: a crow's foot and a bar
+         *  - zero-or-many: a crow's foot and a ring
+         *
+         * @property cardinalities
+         * @type array
+         */
+        cardinalities = ["one", "zero-or-one", "one-or-many", "zero-or-many"],
+
+        /**
+         * Cardinality of each end of a relationship until it's changed.
+         *
+         * @property defaults
+         * @type object
+         */
+        defaults = {
+            from: "one",
+            to: "zero-or-many"
+        },
+
+
+    // Private methods
+        /**
+         * Returns -1, 0 or 1 matching the sign of the given number.
+         *
+         * @method sign
+         *
+         * @param {number} value
+         *
+         * @return {integer}
+         *
+         * @private
+         */
+        sign = function sign(value) {
+
+            return value > 0 ? 1 : value < 0 ? -1 : 0;
+
+        },
+
+        /**
+         * Returns the canvas points through which a connector passes on its
+         * way between two nodes.
+         *
+         * The connector leaves and enters the nodes at the middle of the side
+         * of their shapes and otherwise travels along the gaps of the grid,
+         * bending at most three times.
+         *
+         * @method route
+         *
+         * @param {object} from The node from which the connector starts. Has
+         *      the grid "x" and "y" coordinates of its centre, the pixel
+         *      "width" and "height" of its shape and, if it spans several
+         *      cells, the number of "columns" and "rows" it spans.
+         * @param {object} to The node at which the connector ends, as above.
+         * @param {function} locate Returns the canvas location of the given
+         *      grid (x,y) coordinates as an array (0 = x, 1 = y). Coordinates
+         *      halfway between nodes locate the gaps of the grid.
+         *
+         * @return {array} Canvas locations (0 = x, 1 = y) from start to end.
+         *      Empty if both nodes are the same.
+         */
+        route = function route(from, to, locate) {
+
+            var dx = sign(to.x - from.x), // direction in grid units, North is positive
+                dy = sign(to.y - from.y),
+                fx = (from.columns || 1) / 2, // from the centres to the gaps around the nodes
+                fy = (from.rows || 1) / 2,
+                tx = (to.columns || 1) / 2,
+                ty = (to.rows || 1) / 2,
+                steps = [], // each step: grid x, grid y, side x, side y
+                points = [],
+                point,
+                gap,
+                node,
+                i;
+
+            if (!dx && !dy) {
+                return points;
+            }
+
+            if (!dx) {
+                if (Math.abs(to.y - from.y) === fy + ty) { // neighbours: straight across the gap
+                    steps.push([from.x, from.y, 0, dy], [to.x, to.y, 0, -dy]);
+                } else { // go around the nodes in between on the East side
+                    gap = Math.max(from.x + fx, to.x + tx);
+                    steps.push([from.x, from.y, 1, 0], [gap, from.y, 0, 0],
+                            [gap, to.y, 0, 0], [to.x, to.y, 1, 0]);
+                }
+            } else if (!dy) {
+                if (Math.abs(to.x - from.x) === fx + tx) {
+                    steps.push([from.x, from.y, dx, 0], [to.x, to.y, -dx, 0]);
+                } else { // go around the nodes in between on the North side
+                    gap = Math.max(from.y + fy, to.y + ty);
+                    steps.push([from.x, from.y, 0, 1], [from.x, gap, 0, 0],
+                            [to.x, gap, 0, 0], [to.x, to.y, 0, 1]);
+                }
+            } else { // leave sideways, follow the column gap, then the row gap
+                steps.push([from.x, from.y, dx, 0],
+                        [from.x + dx * fx, from.y, 0, 0],
+                        [from.x + dx * fx, to.y - dy * ty, 0, 0],
+                        [to.x, to.y - dy * ty, 0, 0],
+                        [to.x, to.y, 0, -dy]);
+            }
+
+            for (i = 0; i < steps.length; i += 1) {
+                point = locate(steps[i][0], steps[i][1]);
+                node = i ? to : from;
+
+                // Move from the centre of the node to the side of its shape
+                point[0] += steps[i][2] * node.width / 2;
+                point[1] -= steps[i][3] * node.height / 2; // canvas y runs South
+
+                points.push(point);
+            }
+
+            return points;
+
+        },
+
+        /**
+         * Returns the SVG Path Data of the line through the given points.
+         *
+         * @method line
+         *
+         * @param {array} points As returned by "route".
+         *
+         * @return {string}
+         */
+        line = function line(points) {
+
+            var pathData = [],
+                i;
+
+            for (i = 0; i < points.length; i += 1) {
+                pathData.push((i ? "L" : "M"), points[i][0], points[i][1]);
+            }
+
+            return pathData.join(" ");
+
+        },
+
+        /**
+         * Returns the SVG Path Data of the arrowhead at the end of the line
+         * through the given points.
+         *
+         * @method arrowhead
+         *
+         * @param {array} points As returned by "route".
+         *
+         * @return {string}
+         */
+        arrowhead = function arrowhead(points) {
+
+            var tip = points[points.length - 1],
+                base = points[points.length - 2],
+                length = Math.sqrt(Math.pow(tip[0] - base[0], 2) +
+                        Math.pow(tip[1] - base[1], 2)) || 1,
+                ux = (tip[0] - base[0]) / length, // unit vector of the last segment
+                uy = (tip[1] - base[1]) / length;
+
+            return ["M", tip[0], tip[1],
+                    "L", tip[0] - ux * arrowLength - uy * arrowWidth / 2,
+                    tip[1] - uy * arrowLength + ux * arrowWidth / 2,
+                    "L", tip[0] - ux * arrowLength + uy * arrowWidth / 2,
+                    tip[1] - uy * arrowLength - ux * arrowWidth / 2,
+                    "Z"].join(" ");
+
+        },
+
+        /**
+         * Tells whether a connector between the given nodes is a relationship
+         * between entities of an entity-relationship diagram, in which case
+         * its ends are marked with their cardinality instead of an arrowhead.
+         *
+         * @method relates
+         *
+         * @param {object} from The node from which the connector starts. Has
+         *      the "element" its shape stands for (see U.Shapes).
+         * @param {object} to The node at which the connector ends, as above.
+         *
+         * @return {boolean}
+         */
+        relates = function relates(from, to) {
+
+            var entity = /^er:/;
+
+            return entity.test(from.element || "") && entity.test(to.element || "");
+
+        },
+
+        /**
+         * Returns the SVG Path Data of the crow's foot marker of the given
+         * cardinality at one end of the line through the given points.
+         *
+         * @method marker
+         *
+         * @param {array} points As returned by "route".
+         * @param {string} end Either "from" or "to".
+         * @param {string} cardinality [Optional] One of "cardinalities".
+         *      Defaults to that of "defaults" for the end.
+         *
+         * @return {string}
+         */
+        marker = function marker(points, end, cardinality) {
+
+            var tip = end === "to" ? points[points.length - 1] : points[0],
+                base = end === "to" ? points[points.length - 2] : points[1],
+                length = Math.sqrt(Math.pow(tip[0] - base[0], 2) +
+                        Math.pow(tip[1] - base[1], 2)) || 1,
+                ux = (tip[0] - base[0]) / length, // unit vector towards the node
+                uy = (tip[1] - base[1]) / length,
+                half = markerWidth / 2,
+                pathData = [],
+                many,
+                zero,
+
+                // Returns the point at the given distance back from the tip
+                at = function at(distance) {
+
+                    return [tip[0] - ux * distance, tip[1] - uy * distance];
+
+                },
+                bar = function bar(distance) {
+
+                    var point = at(distance);
+
+                    pathData.push("M", point[0] - uy * half, point[1] + ux * half,
+                            "L", point[0] + uy * half, point[1] - ux * half);
+
+                },
+                ring = function ring(distance) {
+
+                    var point = at(distance),
+                        r = half / 2;
+
+                    pathData.push("M", point[0] - r, point[1],
+                            "A", r, r, 0, 1, 1, point[0] + r, point[1],
+                            "A", r, r, 0, 1, 1, point[0] - r, point[1], "Z");
+
+                },
+                foot = function foot() {
+
+                    var heel = at(markerWidth);
+
+                    pathData.push("M", tip[0] - uy * half, tip[1] + ux * half,
+                            "L", heel[0], heel[1],
+                            "L", tip[0] + uy * half, tip[1] - ux * half,
+                            "M", heel[0], heel[1], "L", tip[0], tip[1]);
+
+                };
+
+            cardinality = cardinality || defaults[end];
+            many = /many$/.test(cardinality);
+            zero = /^zero/.test(cardinality);
+
+            if (many) {
+                foot();
+            } else {
+                bar(half);
+            }
+
+            if (zero) {
+                ring(markerWidth + half + 2);
+            } else {
+                bar(many ? markerWidth + 4 : markerWidth);
+            }
+
+            return pathData.join(" ");
+
+        };
+
+    // End var
+
+
+    // Public API
+    return {
+        cardinalities: cardinalities,
+        defaults: defaults,
+        route: route,
+        line: line,
+        arrowhead: arrowhead,
+        relates: relates,
+        marker: marker
+    };
+
+}());
+
+
+/**
+ * Exports diagrams, as saved by U.Untangly, to other file formats.
+ *
+ * Only Engaged nodes are exported, along with their labels and connectors, and
+ * the exported picture is cropped to them. Exporting works from the saved
+ * document alone so that it doesn't depend on the diagram being displayed;
+ * raster images are drawn onto a canvas that's never added to the page, or
+ * onto one supplied by the caller, eg. by the "canvas" package when this file
+ * is required on a server:
+ *
+ *  var U = require("./untangly.core.js"),
+ *      createCanvas = require("canvas").createCanvas,
+ *      png = U.exporter.png(diagram, {scale: 2, canvas: createCanvas});
+ *
+ * @class exporter
+ * @namespace U
+ *
+ * @static
+ */
+U.exporter = (function () {
+
+    // Dependencies
+    var path = U.path,
+        text = U.text,
+        connector = U.connector,
+        catalogue = U.catalogue,
+
+
+    // Private properties
+        /**
+         * Default pixel values used when laying out the grid (see the CANVAS
+         * section at the top of this file).
+         *
+         * @property pixel
+         * @type object
+         *
+         * @private
+         */
+        pixel = {
+            object: 89,
+            space: 55
+        },
+
+        /**
+         * Space left around the exported picture in pixels.
+         *
+         * @property padding
+         * @type number
+         *
+         * @private
+         */
+        padding = 10,
+
+        /**
+         * Dash patterns of the line styles of outlines in pixels, matching
+         * those drawn on the canvas.
+         *
+         * @property dashes
+         * @type object
+         *
+         * @private
+         */
+        dashes = {
+            solid: [],
+            dashed: [8, 6],
+            dotted: [2, 6]
+        },
+
+        /**
+         * Colours the picture is drawn in unless a theme is given (see
+         * "layout"): the "background", the "fill" and "stroke" of shapes
+         * (the stroke also draws connectors and filled shapes) and the
+         * "text" of labels.
+         *
+         * @property colours
+         * @type object
+         *
+         * @private
+         */
+        colours = {
+            background: "#ffffff",
+            fill: "#ffffff",
+            stroke: "#000000",
+            text: "#000000"
+        },
+
+
+    // Private methods
+        /**
+         * Rounds the number to two decimal places to keep the output short.
+         *
+         * @method round
+         *
+         * @param {number} value
+         *
+         * @return {number}
+         *
+         * @private
+         */
+        round = function round(value) {
+
+            return Math.round(value * 100) / 100;
+
+        },
+
+        /**
+         * Escapes the characters that have special meaning in XML.
+         *
+         * @method escape
+         *
+         * @param {string} content
+         *
+         * @return {string}
+         *
+         * @private
+         */
+        escape = function escape(content) {
+
+            return String(content).replace(/&/g, "&amp;").replace(/</g, "&lt;").
+                    replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+        },
+
+        /**
+         * Returns how the shape of a saved node is drawn, filling in the
+         * defaults for whatever its style doesn't set (see U.Untangly).
+         *
+         * @method paint
+         *
+         * @param {object} n Node as saved by U.Untangly.save.
+         * @param {object} palette The colours of the picture (see "colours").
+         *
+         * @return {object} Has the "fill" and "stroke" colours, the "dashes"
+         *      of the outline in pixels (empty if solid) and the "opacity".
+         *
+         * @private
+         */
+        paint = function paint(n, palette) {
+
+            var style = n.style || {};
+
+            return {
+                fill: style.fill ||
+                        (catalogue.isFilled(n.shapePath) ? palette.stroke : palette.fill),
+                stroke: style.stroke || palette.stroke,
+                dashes: dashes[style.line] || dashes.solid,
+                opacity: style.opacity === undefined ? 1 : style.opacity
+            };
+
+        },
+
+        /**
+         * Lays the Engaged nodes and connectors of a saved diagram out in
+         * pixels, with the origin at the top left of the area they occupy.
+         *
+         * @method layout
+         *
+         * @param {object} diagram Document as returned by U.Untangly.save.
+         * @param {object} options [Optional] May set the "object" and "space"
+         *      pixel values used (see the CANVAS section at the top of this
+         *      file), and the "theme" whose colours are used instead of
+         *      those of "colours" (see U.Untangly.defineTheme).
+         *
+         * @return {object} Has the following properties:
+         *  - nodes: for each Engaged node its "shapePath" in pixels relative
+         *      to its object space, its "element", its "label" and
+         *      "attributes", its "style" as returned by "paint", the pixel
+         *      "left" and "top" of its object space and its "size" (0 = width,
+         *      1 = height), which spans several cells for nodes that do, its
+         *      "centre", the "box" bounding its shape and the "lane" and
+         *      "group" it's in
+         *  - connectors: for each connector the canvas "points" it passes
+         *      and, if it's a relationship between entities, the
+         *      "cardinality" of its ends (see U.connector.relates)
+         *  - containers: for each lane and group its "id", "type" and
+         *      "label" and the "x", "y", "width" and "height" of its box,
+         *      lanes first; lanes stretch across the Engaged nodes
+         *  - width, height: dimensions of the laid out picture
+         *  - pixel: the pixel values used
+         *  - colours: the colours used, as in "colours"
+         */
+        layout = function layout(diagram, options) {
+
+            var object = (options && options.object) || pixel.object,
+                space = (options && options.space) || pixel.space,
+                theme = (options && options.theme) || {},
+                palette = {},
+                nodes = [],
+                byLocation = {},
+                links = [],
+                boxes = [],
+                minX = Infinity,
+                maxX = -Infinity,
+                minY = Infinity,
+                maxY = -Infinity,
+                left = Infinity,
+                top = Infinity,
+                right = -Infinity,
+                bottom = -Infinity,
+                entry,
+                span,
+                from,
+                to,
+                points,
+                locate,
+                frame,
+                key,
+                i,
+                j;
+
+            for (key in colours) {
+                if (colours.hasOwnProperty(key)) {
+                    palette[key] = theme[key] || colours[key];
+                }
+            }
+
+            for (i = 0; i < diagram.nodes.length; i += 1) {
+                if (diagram.nodes[i].type === "engaged") {
+                    span = diagram.nodes[i].span || {columns: 1, rows: 1};
+
+                    minX = Math.min(minX, diagram.nodes[i].x);
+                    maxX = Math.max(maxX, diagram.nodes[i].x + span.columns - 1);
+                    minY = Math.min(minY, diagram.nodes[i].y - span.rows + 1);
+                    maxY = Math.max(maxY, diagram.nodes[i].y);
+                }
+            }
+
+            locate = function locate(x, y) {
+
+                return [(x - minX) * (object + space) + object / 2,
+                        (maxY - y) * (object + space) + object / 2];
+
+            };
+
+            for (i = 0; i < diagram.nodes.length; i += 1) {
+                if (diagram.nodes[i].type === "engaged") {
+                    span = diagram.nodes[i].span || {columns: 1, rows: 1};
+
+                    entry = {
+                        x: diagram.nodes[i].x + (span.columns - 1) / 2, // the centre of the cells spanned
+                        y: diagram.nodes[i].y - (span.rows - 1) / 2,
+                        columns: span.columns, // as needed by U.connector.route
+                        rows: span.rows,
+                        size: [span.columns * (object + space) - space,
+                                span.rows * (object + space) - space],
+                        element: diagram.nodes[i].element,
+                        label: diagram.nodes[i].label,
+                        attributes: /^er:/.test(diagram.nodes[i].element || "") ?
+                                diagram.nodes[i].attributes : undefined, // only entities have them
+                        style: paint(diagram.nodes[i], palette),
+                        lane: diagram.nodes[i].lane,
+                        group: diagram.nodes[i].group
+                    };
+
+                    entry.shapePath = path.transform(diagram.nodes[i].shapePath,
+                            entry.size, 0, 0); // from normalised units to pixels
+                    entry.centre = locate(entry.x, entry.y);
+                    entry.left = entry.centre[0] - entry.size[0] / 2;
+                    entry.top = entry.centre[1] - entry.size[1] / 2;
+
+                    entry.box = path.bbox(entry.shapePath);
+                    entry.box.x += entry.left;
+                    entry.box.y += entry.top;
+
+                    entry.width = entry.box.width; // as needed by U.connector.route
+                    entry.height = entry.box.height;
+
+                    left = Math.min(left, entry.box.x);
+                    top = Math.min(top, entry.box.y);
+                    right = Math.max(right, entry.box.x + entry.box.width);
+                    bottom = Math.max(bottom, entry.box.y + entry.box.height);
+
+                    nodes.push(entry);
+                    byLocation[diagram.nodes[i].x + "," + diagram.nodes[i].y] = entry;
+                }
+            }
+
+            for (i = 0; i < (diagram.connectors || []).length; i += 1) {
+                from = byLocation[diagram.connectors[i].from.join(",")];
+                to = byLocation[diagram.connectors[i].to.join(",")];
+
+                if (from && to) {
+                    points = connector.route(from, to, locate);
+
+                    for (j = 0; j < points.length; j += 1) {
+                        left = Math.min(left, points[j][0]);
+                        top = Math.min(top, points[j][1]);
+                        right = Math.max(right, points[j][0]);
+                        bottom = Math.max(bottom, points[j][1]);
+                    }
+
+                    if (points.length) {
+                        links.push({
+                            points: points,
+                            cardinality: connector.relates(from, to) ?
+                                    diagram.connectors[i].cardinality || {} : null
+                        });
+                    }
+                }
+            }
+
+            // Lanes behind groups, boxed halfway across the gaps around their cells
+            for (j = 0; j < 2 && nodes.length; j += 1) {
+                for (i = 0; i < (diagram.containers || []).length; i += 1) {
+                    entry = diagram.containers[i];
+
+                    if (entry.type === (j ? "group" : "lane")) {
+                        from = locate(entry.columns ? entry.columns[0] : minX,
+                                entry.rows ? entry.rows[0] : maxY);
+                        to = locate(entry.columns ? entry.columns[1] : maxX,
+                                entry.rows ? entry.rows[1] : minY);
+
+                        frame = {
+                            id: entry.id,
+                            type: entry.type,
+                            label: entry.label || "",
+                            x: from[0] - (object + space) / 2,
+                            y: from[1] - (object + space) / 2,
+                            width: to[0] - from[0] + object + space,
+                            height: to[1] - from[1] + object + space
+                        };
+
+                        left = Math.min(left, frame.x);
+                        top = Math.min(top, frame.y);
+                        right = Math.max(right, frame.x + frame.width);
+                        bottom = Math.max(bottom, frame.y + frame.height);
+
+                        boxes.push(frame);
+                    }
+                }
+            }
+
+            if (!nodes.length) {
+                left = top = right = bottom = 0;
+            }
+
+            // Move everything so that the picture starts at the padding
+            left -= padding;
+            top -= padding;
+
+            for (i = 0; i < nodes.length; i += 1) {
+                nodes[i].left -= left;
+                nodes[i].top -= top;
+                nodes[i].centre = [nodes[i].centre[0] - left,
+                        nodes[i].centre[1] - top];
+                nodes[i].box.x -= left;
+                nodes[i].box.y -= top;
+            }
+
+            for (i = 0; i < links.length; i += 1) {
+                points = links[i].points;
+
+                for (j = 0; j < points.length; j += 1) {
+                    points[j] = [round(points[j][0] - left),
+                            round(points[j][1] - top)];
+                }
+            }
+
+            for (i = 0; i < boxes.length; i += 1) {
+                boxes[i].x -= left;
+                boxes[i].y -= top;
+            }
+
+            return {
+                nodes: nodes,
+                connectors: links,
+                containers: boxes,
+                width: right - left + padding,
+                height: bottom - top + padding,
+                pixel: {
+                    object: object,
+                    space: space
+                },
+                colours: palette
+            };
+
+        },
+
+        /**
+         * Fits the label of a laid out node inside its shape. The label of a
+         * node with attributes is placed as a title above them instead (see
+         * U.text.compartments).
+         *
+         * @method placeLabel
+         *
+         * @param {object} n Node as laid out by "layout".
+         * @param {object} picture As returned by "layout".
+         * @param {function} measure [Optional] As for U.text.fit.
+         *
+         * @return {object} Has the "blocks" of text, each with its font
+         *      "size", its "anchor" ("middle" or "start") and the "lines",
+         *      each with its "text" and the "x" and "y" of its anchor, and
+         *      the "divider" path data if the node has attributes.
+         *
+         * @private
+         */
+        placeLabel = function placeLabel(n, picture, measure) {
+
+            var fitted,
+                laid,
+                block = function block(lined, anchor, x, y) {
+
+                    var lineHeight = lined.size * text.leading,
+                        lines = [],
+                        i;
+
+                    for (i = 0; i < lined.lines.length; i += 1) {
+                        lines.push({
+                            text: lined.lines[i],
+                            x: round(x),
+                            y: round(y + i * lineHeight)
+                        });
+                    }
+
+                    return {
+                        size: lined.size,
+                        anchor: anchor,
+                        lines: lines
+                    };
+
+                };
+
+            if (n.attributes && n.attributes.length) {
+                laid = text.compartments(n.label, n.attributes, n.box, n.size,
+                        measure);
+
+                return {
+                    blocks: [
+                        block(n.label ? laid.title : {size: laid.title.size, lines: []},
+                                "middle", laid.title.x, laid.title.y),
+                        block(laid.entries, "start", laid.entries.x, laid.entries.y)
+                    ],
+                    divider: "M " + round(laid.divider.x1) + " " +
+                            round(laid.divider.y) + " L " +
+                            round(laid.divider.x2) + " " + round(laid.divider.y)
+                };
+            }
+
+            fitted = text.fit(n.label || "", text.area(n.box, n.size), measure);
+
+            // Centre the block of lines on the node
+            return {
+                blocks: [block(fitted, "middle", n.centre[0], n.centre[1] -
+                        (fitted.lines.length - 1) / 2 * fitted.size * text.leading)]
+            };
+
+        },
+
+        /**
+         * Creates a canvas element that isn't added to the page.
+         *
+         * @method createCanvas
+         *
+         * @param {integer} width
+         * @param {integer} height
+         *
+         * @return {object} HTMLCanvasElement.
+         *
+         * @private
+         */
+        createCanvas = function createCanvas(width, height) {
+
+            var canvas = document.createElement("canvas");
+
+            canvas.width = width;
+            canvas.height = height;
+
+            return canvas;
+
+        },
+
+        /**
+         * Returns a standalone SVG document picturing the saved diagram.
+         *
+         * @method svg
+         *
+         * @param {object} diagram Document as returned by U.Untangly.save.
+         * @param {object} options [Optional] As for "layout". The background
+         *      of the picture is left transparent unless a "theme" is given.
+         *
+         * @return {string}
+         */
+        svg = function svg(diagram, options) {
+
+            var picture = layout(diagram, options),
+                palette = picture.colours,
+                output = [],
+                n,
+                link,
+                frame,
+                label,
+                block,
+                i,
+                j,
+                k;
+
+            output.push('<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+                    '<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="' +
+                    round(picture.width) + '" height="' + round(picture.height) +
+                    '" viewBox="0 0 ' + round(picture.width) + " " +
+                    round(picture.height) + '">');
+
+            if (options && options.theme) {
+                output.push('  <rect width="100%" height="100%" fill="' +
+                        escape(palette.background) + '"/>');
+            }
+
+            // Each lane and group keeps its id, as do the nodes in it
+            for (i = 0; i < picture.containers.length; i += 1) {
+                frame = picture.containers[i];
+
+                output.push('  <g class="' + frame.type + '" data-id="' + frame.id + '">',
+                        '    <rect x="' + round(frame.x) + '" y="' + round(frame.y) +
+                        '" width="' + round(frame.width) + '" height="' +
+                        round(frame.height) + '" stroke="' + escape(palette.stroke) +
+                        '" stroke-width="1"' + (frame.type === "lane" ?
+                        ' fill="' + escape(palette.stroke) + '" fill-opacity="0.04"' :
+                        ' fill="none" stroke-dasharray="' + dashes.dashed.join(" ") + '"') +
+                        "/>",
+                        '    <text x="' + round(frame.x + 6) + '" y="' +
+                        round(frame.y + 10 + 11 * 0.35) + '" fill="' +
+                        escape(palette.text) + '" font-family="' + escape(text.font) +
+                        '" font-size="11">' + escape(frame.label) + "</text>",
+                        "  </g>");
+            }
+
+            output.push('  <g fill="' + escape(palette.fill) + '" stroke="' +
+                    escape(palette.stroke) + '" stroke-width="2">');
+            for (i = 0; i < picture.nodes.length; i += 1) {
+                n = picture.nodes[i];
+
+                output.push('    <path transform="translate(' + round(n.left) +
+                        " " + round(n.top) + ')" d="' + escape(n.shapePath) + '"' +
+                        (n.style.fill !== palette.fill ?
+                                ' fill="' + escape(n.style.fill) + '"' : "") +
+                        (n.style.stroke !== palette.stroke ?
+                                ' stroke="' + escape(n.style.stroke) + '"' : "") +
+                        (n.style.dashes.length ?
+                                ' stroke-dasharray="' + n.style.dashes.join(" ") + '"' : "") +
+                        (n.style.opacity !== 1 ? ' opacity="' + n.style.opacity + '"' : "") +
+                        (n.element ? ' data-element="' + escape(n.element) + '"' : "") +
+                        (n.lane ? ' data-lane="' + escape(n.lane) + '"' : "") +
+                        (n.group ? ' data-group="' + escape(n.group) + '"' : "") +
+                        "/>");
+            }
+            output.push("  </g>");
+
+            output.push('  <g fill="none" stroke="' + escape(palette.stroke) +
+                    '" stroke-width="2">');
+            for (i = 0; i < picture.connectors.length; i += 1) {
+                output.push('    <path d="' + connector.line(picture.connectors[i].points) + '"/>');
+            }
+            output.push("  </g>");
+
+            output.push('  <g fill="' + escape(palette.stroke) + '" stroke="none">');
+            for (i = 0; i < picture.connectors.length; i += 1) {
+                if (!picture.connectors[i].cardinality) {
+                    output.push('    <path d="' +
+                            connector.arrowhead(picture.connectors[i].points) + '"/>');
+                }
+            }
+            output.push("  </g>");
+
+            output.push('  <g fill="' + escape(palette.fill) + '" stroke="' +
+                    escape(palette.stroke) + '" stroke-width="2">');
+            for (i = 0; i < picture.connectors.length; i += 1) {
+                link = picture.connectors[i];
+
+                if (link.cardinality) {
+                    output.push('    <path d="' + connector.marker(link.points, "from",
+                            link.cardinality.from) + '"/>', '    <path d="' +
+                            connector.marker(link.points, "to",
+                            link.cardinality.to) + '"/>');
+                }
+            }
+            output.push("  </g>");
+
+            output.push('  <g fill="' + escape(palette.text) + '" font-family="' +
+                    escape(text.font) + '">');
+            for (i = 0; i < picture.nodes.length; i += 1) {
+                n = picture.nodes[i];
+
+                if (n.label || (n.attributes && n.attributes.length)) {
+                    label = placeLabel(n, picture, options && options.measure);
+
+                    if (label.divider) {
+                        output.push('    <path d="' + label.divider +
+                                '" stroke="' + escape(palette.stroke) +
+                                '" stroke-width="2"/>');
+                    }
+
+                    for (j = 0; j < label.blocks.length; j += 1) {
+                        block = label.blocks[j];
+
+                        output.push('    <text font-size="' + block.size +
+                                '" text-anchor="' + block.anchor + '">');
+                        for (k = 0; k < block.lines.length; k += 1) {
+                            // 0.35em lowers the baseline from the middle of the line
+                            output.push('      <tspan x="' + block.lines[k].x + '" y="' +
+                                    round(block.lines[k].y + block.size * 0.35) + '">' +
+                                    escape(block.lines[k].text) + "</tspan>");
+                        }
+                        output.push("    </text>");
+                    }
+                }
+            }
+            output.push("  </g>");
+
+            output.push("</svg>", "");
+
+            return output.join("\n");
+
+        },
+
+        /**
+         * Draws the saved diagram into a PNG image.
+         *
+         * @method png
+         *
+         * @param {object} diagram Document as returned by U.Untangly.save.
+         * @param {object} options [Optional] As for "layout", and:
+         *  - scale: resolution as a multiple of the size on the canvas, eg. 2
+         *      for high density displays (defaults to 1)
+         *  - background: colour filling the image, or "transparent" (defaults
+         *      to the background of the theme, or white)
+         *  - canvas: function taking the width and height of the image and
+         *      returning the canvas to draw it on (defaults to a new canvas
+         *      element)
+         *
+         * @return {string} The image as a "data:image/png" URL.
+         */
+        png = function png(diagram, options) {
+
+            var picture = layout(diagram, options),
+                palette = picture.colours,
+                scale,
+                background,
+                canvas,
+                context,
+                measure,
+                n,
+                link,
+                frame,
+                label,
+                block,
+                i,
+                j,
+                k;
+
+            options = options || {};
+            scale = options.scale || 1;
+            background = options.background || palette.background;
+
+            canvas = (options.canvas || createCanvas)(
+                Math.ceil(picture.width * scale),
+                Math.ceil(picture.height * scale)
+            );
+            context = canvas.getContext("2d");
+
+            context.scale(scale, scale);
+
+            if (background !== "transparent") {
+                context.fillStyle = background;
+                context.fillRect(0, 0, picture.width, picture.height);
+            }
+
+            for (i = 0; i < picture.containers.length; i += 1) {
+                frame = picture.containers[i];
+
+                context.save();
+                context.lineWidth = 1;
+                context.strokeStyle = palette.stroke;
+                if (frame.type === "lane") {
+                    context.fillStyle = palette.stroke;
+                    context.globalAlpha = 0.04;
+                    context.fillRect(frame.x, frame.y, frame.width, frame.height);
+                    context.globalAlpha = 1;
+                } else if (context.setLineDash) {
+                    context.setLineDash(dashes.dashed);
+                }
+                context.strokeRect(frame.x, frame.y, frame.width, frame.height);
+                context.restore();
+
+                context.fillStyle = palette.text;
+                context.font = "11px " + text.font;
+                context.textAlign = "left";
+                context.textBaseline = "middle";
+                context.fillText(frame.label, frame.x + 6, frame.y + 10);
+            }
+
+            context.lineWidth = 2;
+
+            for (i = 0; i < picture.nodes.length; i += 1) {
+                n = picture.nodes[i];
+
+                context.save();
+                context.translate(n.left, n.top);
+                path.trace(context, n.shapePath);
+                context.globalAlpha = n.style.opacity;
+                context.fillStyle = n.style.fill;
+                context.fill();
+                context.strokeStyle = n.style.stroke;
+                if (context.setLineDash) {
+                    context.setLineDash(n.style.dashes);
+                }
+                context.stroke();
+                context.restore();
+            }
+
+            for (i = 0; i < picture.connectors.length; i += 1) {
+                link = picture.connectors[i];
+
+                path.trace(context, connector.line(link.points));
+                context.strokeStyle = palette.stroke;
+                context.stroke();
+
+                if (link.cardinality) {
+                    for (j = 0; j < 2; j += 1) {
+                        path.trace(context, connector.marker(link.points,
+                                j ? "to" : "from", link.cardinality[j ? "to" : "from"]));
+                        context.fillStyle = palette.fill;
+                        context.fill();
+                        context.stroke();
+                    }
+                } else {
+                    path.trace(context, connector.arrowhead(link.points));
+                    context.fillStyle = palette.stroke;
+                    context.fill();
+                }
+            }
+
+            measure = function measure(content, size) {
+
+                context.font = size + "px " + text.font;
+
+                return context.measureText(content).width;
+
+            };
+
+            context.fillStyle = palette.text;
+            context.strokeStyle = palette.stroke;
+            context.textBaseline = "middle";
+
+            for (i = 0; i < picture.nodes.length; i += 1) {
+                n = picture.nodes[i];
+
+                if (n.label || (n.attributes && n.attributes.length)) {
+                    label = placeLabel(n, picture, measure);
+
+                    if (label.divider) {
+                        path.trace(context, label.divider);
+                        context.stroke();
+                    }
+
+                    for (j = 0; j < label.blocks.length; j += 1) {
+                        block = label.blocks[j];
+
+                        context.font = block.size + "px " + text.font;
+                        context.textAlign = block.anchor === "start" ? "left" : "center";
+
+                        for (k = 0; k < block.lines.length; k += 1) {
+                            context.fillText(block.lines[k].text, block.lines[k].x,
+                                    block.lines[k].y);
+                        }
+                    }
+                }
+            }
+
+            return canvas.toDataURL("image/png");
+
+        };
+
+    // End var
+
+
+    // Public API
+    return {
+        layout: layout,
+        svg: svg,
+        png: png
+    };
+
+}());
+
+
+// Adds flowcharting shapes
+(function () {
+
+    // Dependencies
+    var catalogue = U.catalogue,
+
+
+    // Shape categories
+        basic = "Basic";
+
+
+    // Basic shapes, in units of the node's size
+    catalogue.add(basic, {
+        name: "Process",
+        tooltip: "Process: generic processing step",
+        path: "M 0 0.191 h 1 v 0.618 h -1 Z" // rectangle
+    });
+    catalogue.add(basic, {
+        name: "Input/output",
+        tooltip: "Input/output: data in or out of the process",
+        path: "M 0.073 0.191 h 1 l -0.146 0.618 h -1 Z" // parallelogram
+    });
+    catalogue.add(basic, {
+        name: "Preparation",
+        tooltip: "Preparation: prepare conditional",
+        path: "M 0.073 0.191 h 0.854 l 0.146 0.309 l -0.146 0.309 h -0.854 l -0.146 -0.309 Z" // hexagon
+    });
+    catalogue.add(basic, {
+        name: "Decision",
+        tooltip: "Decision: conditional",
+        path: "M 0 0.5 l 0.5 -0.5 l 0.5 0.5 l -0.5 0.5 Z" // rhombus
+    });
+    // To find the distance l of the control point from the start/end point:
+    //  l = r x 4(root(2) - 1) / 3
+    // where r is the radius.
+    // When r = 1 / 2 = 0.5, l = 0.27614 ~= 0.276
+    // Note: One point will be r - l to relatively position control points correctly
+    catalogue.add(basic, {
+        name: "Terminator",
+        tooltip: "Terminator: start/end",
+        path: "M 0 0.5 c 0 -0.276 0.224 -0.5 0.5 -0.5 c 0.276 0 0.5 0.224 0.5 0.5 c 0 0.276 -0.224 0.5 -0.5 0.5 c -0.276 0 -0.5 -0.224 -0.5 -0.5" // circle
+    });
+    catalogue.add(basic, {
+        name: "Manual input",
+        path: "M 0 0.337 l 1 -0.146 v 0.618 h -1 Z" // quadrilateral with top sloping up from left to right
+    });
+    catalogue.add(basic, {
+        name: "Manual operation",
+        path: "M -0.073 0.191 h 1.146 l -0.146 0.618 h -0.854 Z" // trapezoid with longer side top
+    });
+    catalogue.add(basic, {
+        name: "Data file",
+        path: "M 0.191 0 v 1 q 0.309 0.146 0.618 0 v -1 q -0.309 -0.146 -0.629 0.011 m 0.011 -0.011 q 0.309 0.146 0.618 0" // cylinder
+    });
+    catalogue.add(basic, {
+        name: "Document",
+        path: "M 0 0.191 h 1 v 0.584 c -0.5 0 -0.5 0.146 -1 0.034 Z" // rectangle with wavy base
+    });
+
+}());
+
+
+// Adds UML activity diagram shapes
+(function () {
+
+    // Dependencies
+    var catalogue = U.catalogue,
+
+
+    // Shape categories
+        activity = "UML Activity";
+
+
+    // UML activity shapes, in units of the node's size
+    catalogue.add(activity, {
+        name: "Initial node",
+        tooltip: "Initial node: where the activity starts",
+        path: "M 0 0.5 a 0.5 0.5 0 1 1 1 0 a 0.5 0.5 0 1 1 -1 0 Z", // circle
+        size: 0.382,
+        filled: true
+    });
+    // The hole turns the opposite way to the circles around and inside it,
+    // so that only the ring and the centre are filled
+    catalogue.add(activity, {
+        name: "Activity final",
+        tooltip: "Activity final: where the whole activity ends",
+        path: "M 0 0.5 a 0.5 0.5 0 1 1 1 0 a 0.5 0.5 0 1 1 -1 0 Z " +
+                "M 0.06 0.5 a 0.44 0.44 0 1 0 0.88 0 a 0.44 0.44 0 1 0 -0.88 0 Z " +
+                "M 0.2 0.5 a 0.3 0.3 0 1 1 0.6 0 a 0.3 0.3 0 1 1 -0.6 0 Z", // bullseye
+        size: 0.382,
+        filled: true
+    });
+    catalogue.add(activity, {
+        name: "Flow final",
+        tooltip: "Flow final: where one flow ends",
+        path: "M 0 0.5 a 0.5 0.5 0 1 1 1 0 a 0.5 0.5 0 1 1 -1 0 Z " +
+                "M 0.146 0.146 L 0.854 0.854 M 0.854 0.146 L 0.146 0.854", // crossed circle
+        size: 0.382
+    });
+    catalogue.add(activity, {
+        name: "Action",
+        tooltip: "Action: a single step of the activity",
+        path: "M 0.1 0.191 h 0.8 a 0.1 0.1 0 0 1 0.1 0.1 v 0.418 a 0.1 0.1 0 0 1 -0.1 0.1 " +
+                "h -0.8 a 0.1 0.1 0 0 1 -0.1 -0.1 v -0.418 a 0.1 0.1 0 0 1 0.1 -0.1 Z" // rounded rectangle
+    });
+    catalogue.add(activity, {
+        name: "Decision/merge",
+        tooltip: "Decision/merge: where flows branch or come together",
+        path: "M 0 0.5 l 0.5 -0.5 l 0.5 0.5 l -0.5 0.5 Z", // rhombus
+        size: 0.618
+    });
+    catalogue.add(activity, {
+        name: "Fork/join",
+        tooltip: "Fork/join: where flows split to run concurrently or synchronise",
+        path: "M 0 0.45 h 1 v 0.1 h -1 Z", // horizontal bar
+        filled: true
+    });
+    catalogue.add(activity, {
+        name: "Fork/join (vertical)",
+        tooltip: "Fork/join: where flows split to run concurrently or synchronise",
+        path: "M 0.45 0 h 0.1 v 1 h -0.1 Z", // vertical bar
+        filled: true
+    });
+    catalogue.add(activity, {
+        name: "Send signal",
+        tooltip: "Send signal: sends a signal to another activity",
+        path: "M 0 0.191 h 0.854 l 0.146 0.309 l -0.146 0.309 h -0.854 Z" // pentagon pointing right
+    });
+    catalogue.add(activity, {
+        name: "Receive signal",
+        tooltip: "Receive signal: waits for a signal to arrive",
+        path: "M 0 0.191 h 1 v 0.618 h -1 l 0.146 -0.309 Z" // rectangle notched on the left
+    });
+    catalogue.add(activity, {
+        name: "Object node",
+        tooltip: "Object node: data passed between actions",
+        path: "M 0 0.25 h 1 v 0.5 h -1 Z" // rectangle
+    });
+
+}());
+
+
+// Adds BPMN 2.0 shapes
+(function () {
+
+    // Dependencies
+    var catalogue = U.catalogue,
+
+
+    // Shape categories
+        bpmn = "BPMN";
+
+
+    // BPMN shapes, in units of the node's size. Each records the BPMN 2.0
+    // element it stands for, as named in BPMN's XML schema
+    catalogue.add(bpmn, {
+        name: "Start event",
+        tooltip: "Start event: where the process starts",
+        path: "M 0 0.5 a 0.5 0.5 0 1 1 1 0 a 0.5 0.5 0 1 1 -1 0 Z", // circle
+        size: 0.4,
+        element: "bpmn:startEvent"
+    });
+    catalogue.add(bpmn, {
+        name: "Intermediate event",
+        tooltip: "Intermediate event: something that happens during the process",
+        path: "M 0 0.5 a 0.5 0.5 0 1 1 1 0 a 0.5 0.5 0 1 1 -1 0 Z " +
+                "M 0.08 0.5 a 0.42 0.42 0 1 1 0.84 0 a 0.42 0.42 0 1 1 -0.84 0 Z", // double circle
+        size: 0.4,
+        element: "bpmn:intermediateThrowEvent"
+    });
+    // The hole turns the opposite way to the circle around it, so that only
+    // the thick ring is filled
+    catalogue.add(bpmn, {
+        name: "End event",
+        tooltip: "End event: where the process ends",
+        path: "M 0 0.5 a 0.5 0.5 0 1 1 1 0 a 0.5 0.5 0 1 1 -1 0 Z " +
+                "M 0.12 0.5 a 0.38 0.38 0 1 0 0.76 0 a 0.38 0.38 0 1 0 -0.76 0 Z", // thick circle
+        size: 0.4,
+        filled: true,
+        element: "bpmn:endEvent"
+    });
+    catalogue.add(bpmn, {
+        name: "Task",
+        tooltip: "Task: a unit of work",
+        path: "M 0.1 0.191 h 0.8 a 0.1 0.1 0 0 1 0.1 0.1 v 0.418 a 0.1 0.1 0 0 1 -0.1 0.1 " +
+                "h -0.8 a 0.1 0.1 0 0 1 -0.1 -0.1 v -0.418 a 0.1 0.1 0 0 1 0.1 -0.1 Z", // rounded rectangle
+        element: "bpmn:task"
+    });
+    catalogue.add(bpmn, {
+        name: "Exclusive gateway",
+        tooltip: "Exclusive gateway: takes exactly one of the outgoing flows",
+        path: "M 0 0.5 l 0.5 -0.5 l 0.5 0.5 l -0.5 0.5 Z " +
+                "M 0.35 0.35 L 0.65 0.65 M 0.65 0.35 L 0.35 0.65", // rhombus with a cross
+        size: 0.618,
+        element: "bpmn:exclusiveGateway"
+    });
+    catalogue.add(bpmn, {
+        name: "Parallel gateway",
+        tooltip: "Parallel gateway: takes all of the outgoing flows at once",
+        path: "M 0 0.5 l 0.5 -0.5 l 0.5 0.5 l -0.5 0.5 Z " +
+                "M 0.5 0.3 V 0.7 M 0.3 0.5 H 0.7", // rhombus with a plus
+        size: 0.618,
+        element: "bpmn:parallelGateway"
+    });
+    catalogue.add(bpmn, {
+        name: "Inclusive gateway",
+        tooltip: "Inclusive gateway: takes any of the outgoing flows whose conditions hold",
+        path: "M 0 0.5 l 0.5 -0.5 l 0.5 0.5 l -0.5 0.5 Z " +
+                "M 0.3 0.5 a 0.2 0.2 0 1 1 0.4 0 a 0.2 0.2 0 1 1 -0.4 0 Z", // rhombus with a circle
+        size: 0.618,
+        element: "bpmn:inclusiveGateway"
+    });
+    catalogue.add(bpmn, {
+        name: "Data object",
+        tooltip: "Data object: information used or produced by the process",
+        path: "M 0.191 0.1 h 0.45 l 0.168 0.168 v 0.632 h -0.618 Z " +
+                "M 0.641 0.1 v 0.168 h 0.168", // page with a folded corner
+        element: "bpmn:dataObjectReference"
+    });
+
+}());
+
+
+// Adds network and architecture shapes
+(function () {
+
+    // Dependencies
+    var catalogue = U.catalogue,
+
+
+    // Shape categories
+        infrastructure = "Infrastructure";
+
+
+    // Infrastructure icons, in units of the node's size. Details inside an
+    // icon are drawn as further subpaths of its path data
+    catalogue.add(infrastructure, {
+        name: "Server",
+        tooltip: "Server: a machine running services",
+        path: "M 0.25 0.05 h 0.5 v 0.9 h -0.5 Z " +
+                "M 0.33 0.2 h 0.34 M 0.33 0.3 h 0.34 M 0.33 0.4 h 0.34 " +
+                "M 0.46 0.8 a 0.04 0.04 0 1 1 0.08 0 a 0.04 0.04 0 1 1 -0.08 0 Z" // tower with drive bays and a power light
+    });
+    catalogue.add(infrastructure, {
+        name: "Database",
+        tooltip: "Database: stores data",
+        path: "M 0.2 0.15 v 0.7 a 0.3 0.1 0 0 0 0.6 0 v -0.7 a 0.3 0.1 0 0 0 -0.6 0 " +
+                "a 0.3 0.1 0 0 0 0.6 0 " +
+                "M 0.2 0.383 a 0.3 0.1 0 0 0 0.6 0 M 0.2 0.617 a 0.3 0.1 0 0 0 0.6 0" // banded cylinder
+    });
+    catalogue.add(infrastructure, {
+        name: "Queue",
+        tooltip: "Queue: messages waiting to be processed",
+        path: "M 0.05 0.35 h 0.9 v 0.3 h -0.9 Z " +
+                "M 0.275 0.35 v 0.3 M 0.5 0.35 v 0.3 M 0.725 0.35 v 0.3" // row of messages
+    });
+    catalogue.add(infrastructure, {
+        name: "Cloud",
+        tooltip: "Cloud: hosted services or the internet",
+        path: "M 0.25 0.75 a 0.15 0.15 0 0 1 -0.02 -0.3 a 0.2 0.2 0 0 1 0.35 -0.15 " +
+                "a 0.17 0.17 0 0 1 0.3 0.12 a 0.17 0.17 0 0 1 -0.03 0.33 Z" // billowing outline with a flat base
+    });
+    catalogue.add(infrastructure, {
+        name: "User",
+        tooltip: "User: a person or actor using the system",
+        path: "M 0.4 0.3 a 0.1 0.1 0 1 1 0.2 0 a 0.1 0.1 0 1 1 -0.2 0 Z " +
+                "M 0.25 0.85 v -0.15 a 0.25 0.25 0 0 1 0.5 0 v 0.15 Z" // head and shoulders
+    });
+    catalogue.add(infrastructure, {
+        name: "Load balancer",
+        tooltip: "Load balancer: spreads requests across servers",
+        path: "M 0.2 0.5 a 0.3 0.3 0 1 1 0.6 0 a 0.3 0.3 0 1 1 -0.6 0 Z " +
+                "M 0.3 0.5 H 0.5 L 0.68 0.35 M 0.5 0.5 H 0.7 M 0.5 0.5 L 0.68 0.65" // circle with a branching flow
+    });
+    catalogue.add(infrastructure, {
+        name: "Firewall",
+        tooltip: "Firewall: filters network traffic",
+        path: "M 0.1 0.2 h 0.8 v 0.6 h -0.8 Z M 0.1 0.4 h 0.8 M 0.1 0.6 h 0.8 " +
+                "M 0.5 0.2 v 0.2 M 0.3 0.4 v 0.2 M 0.7 0.4 v 0.2 M 0.5 0.6 v 0.2" // brick wall
+    });
+    catalogue.add(infrastructure, {
+        name: "Browser",
+        tooltip: "Browser: a web client",
+        path: "M 0.05 0.2 h 0.9 v 0.6 h -0.9 Z M 0.05 0.3 h 0.9 " +
+                "M 0.08 0.25 a 0.02 0.02 0 1 1 0.04 0 a 0.02 0.02 0 1 1 -0.04 0 Z " +
+                "M 0.14 0.25 a 0.02 0.02 0 1 1 0.04 0 a 0.02 0.02 0 1 1 -0.04 0 Z " +
+                "M 0.2 0.25 a 0.02 0.02 0 1 1 0.04 0 a 0.02 0.02 0 1 1 -0.04 0 Z" // window with a title bar
+    });
+
+}());
+
+
+// Adds entity-relationship diagram shapes
+(function () {
+
+    // Dependencies
+    var catalogue = U.catalogue,
+
+
+    // Shape categories
+        er = "ER";
+
+
+    // Entity shapes, in units of the node's size. Connectors between them are
+    // relationships (see U.connector.relates)
+    catalogue.add(er, {
+        name: "Entity",
+        tooltip: "Entity: a thing about which data is kept, listing its attributes",
+        path: "M 0 0 h 1 v 1 h -1 Z", // square
+        element: "er:entity"
+    });
+    catalogue.add(er, {
+        name: "Weak entity",
+        tooltip: "Weak entity: an entity identified through another entity",
+        path: "M 0 0 h 1 v 1 h -1 Z M 0.05 0.05 h 0.9 v 0.9 h -0.9 Z", // double square
+        element: "er:weakEntity"
+    });
+
+}());
+
+
+// Lets the modules be required where there's no page (see the top of this
+// file)
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = U;
+}
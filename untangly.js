@@ -49,6 +49,16 @@
  * location around the converted node needs to be confirmed empty before a new
  * Single node is created.
  *
+ * An Engaged node may be resized to span a rectangle of cells of the grid (see
+ * below), eg. 2 columns by 1 row for a process that needs more room for its
+ * label. Its shape is stretched across the cells and the gaps between them,
+ * the cells are all taken by the node and Single nodes surround the whole
+ * rectangle instead.
+ *
+ *                               .   .
+ *                             . [=====] .      spans 2 x 1 from (x,y)
+ *                               .   .
+ *
  *
  * GRID
  * ----
@@ -82,6 +92,8 @@
  * The grid is stored in a 2D array named "grid". For reasons of efficiency, the
  * software will never traverse through the 2D grid; the array is only a storage
  * mechanism that's accessed through specific coordinates (i.e. "grid[x][y]").
+ * A node spanning several cells is located by its North-West cell and stored
+ * in every cell it spans.
  *
  * The grid starts with the origin and expands only in response to the creation
  * of new nodes as the user interracts with the software.
@@ -122,6 +134,9 @@
  *                                 (gap)
  *      (not to scale)
  *
+ * The object and space shown are the defaults; both can be changed while the
+ * diagram is open, which redraws every node in its new place and size.
+ *
  * The canvas grows dynamically based on the number of nodes in the diagram. In
  * combination with some CSS this allows the diagram to always stay centered on
  * the page until it grows beyond the size of the browser window.
@@ -167,12 +182,100 @@
  * spacing.
  *
  * Large shapes are allocated space as indicated in the canvas section above.
+ * Both are drawn from the same path data, which is defined in normalised units
+ * where the allocated space is 1 unit square, and scaled to size.
+ *
+ *
+ * CONNECTORS
+ * ----------
+ * Connectors link two Engaged nodes and show the direction of flow with an
+ * arrowhead. They never cut across the space of another node; instead they are
+ * routed along the gaps between the rows and columns of the grid, which lie
+ * half a unit away from the nodes on either side.
+ *
+ *                     (x,y) -----+
+ *                                |
+ *                                |
+ *                                +------+
+ *                                       v
+ *                                    (x+2,y-2)
+ *
+ * Because connectors are positioned from the grid coordinates of the nodes
+ * they link, they are redrawn whenever the nodes are shifted on the canvas.
+ *
+ *
+ * ENTITY-RELATIONSHIP DIAGRAMS
+ * ----------------------------
+ * Nodes engaged with the shapes of the ER category are entities. Each entity
+ * has a list of attributes, edited from its menu one per line, which is shown
+ * below its name with a line across the shape between them.
+ *
+ * Connectors between two entities are relationships. Instead of an arrowhead
+ * each end is marked with its cardinality in crow's foot notation, and
+ * clicking a marker steps through the cardinalities:
+ *
+ *          ---||  one              ---|<  one or many
+ *          ---o|  zero or one      ---o<  zero or many
+ *
+ *
+ * LANES AND GROUPS
+ * ----------------
+ * Containers are drawn behind the nodes, each with a header naming it. Lanes
+ * take a range of rows of the grid (or of columns) and stretch across the rest
+ * of it, growing as the grid grows, so that a cross-functional flowchart can
+ * give a lane to each team. Groups box a range of rows and columns alike.
+ *
+ *      +- Sales -----------------------------------+
+ *      |     [   ] ----> [   ]                     |
+ *      +- Support ---------------------------------+
+ *      |                 [   ] ----> [   ]         |
+ *      +-------------------------------------------+
+ *
+ * A lane or group is made from the menu around the rows or cells of the nodes
+ * it's for, and is renamed, or removed if left without a name, by double
+ * clicking its header. Every Engaged node records the lane and group it's in,
+ * which moving it into another updates, so that exports keep the structure.
+ *
+ *
+ * THEMES
+ * ------
+ * The diagram is drawn in the colours of a theme: the background behind the
+ * canvas, the fill and outline of shapes (also used for connectors and filled
+ * shapes), the text of labels, the dots of Single nodes and the overlays drawn
+ * over the canvas, such as the menu and the shape previews. Light, dark,
+ * high-contrast and print themes are built in and others can be defined as
+ * JSON, loaded from a file beside the list of themes, eg.
+ *
+ *  {"name": "sepia", "background": "#f4ecd8", "fill": "#fbf6ea",
+ *   "stroke": "#5b4636", "text": "#5b4636", "dot": "#a08c78"}
+ *
+ * Switching theme recolours every node as it is. Colours set on a node's own
+ * style are kept, and exports are drawn in the theme in use.
+ *
+ *
+ * SELECTION
+ * ---------
+ * Several Engaged nodes can be selected at once, either by clicking them while
+ * holding <shift> or by dragging a rectangle across the background of the
+ * canvas. Changing the shape of, deleting or dragging any selected node acts
+ * upon the whole selection, and a group that's dragged keeps its arrangement.
+ *
+ *
+ * KEYBOARD
+ * --------
+ * Diagrams can be built without the mouse. The arrow keys move a cursor from
+ * cell to cell, <enter> shows the shape previews for the node under the cursor
+ * and the number keys pick a shape, counting the previews left to right and
+ * then top to bottom. <delete> removes the node under the cursor (or the
+ * selected nodes) and <esc> steps back out of whatever is shown.
+ *
  *
- * 
  * @module Untangly
  *
  * @requires Raphael
  * @requires jQuery
+ * @requires untangly.core.js (path data, labels, connectors, shapes and
+ *      exporting, which run without a page)
  * @requires ESAPI
  */
 var U = U || {};
@@ -203,9 +306,69 @@ U.Canvas = (function () {
 
 
     // Private properties
+        /**
+         * The maximum number of characters kept from the content of a <text/>
+         * element.
+         *
+         * @property maxTextLength
+         * @type integer
+         *
+         * @private
+         */
+        maxTextLength = 500,
 
 
     // Private methods
+        /**
+         * Makes user supplied text safe to be handed to the library as the
+         * content of a <text/> element. Line breaks are normalised and kept,
+         * while other control characters and the Unicode bidirectional
+         * overrides (which can disguise the content) are removed.
+         *
+         * @method sanitize
+         *
+         * @param {string} text
+         *
+         * @return {string}
+         *
+         * @private
+         */
+        sanitize = function sanitize(text) {
+
+            text = (text === undefined || text === null ? "" : String(text)).
+                    replace(/\r\n?/g, "\n").
+                    replace(/[\u0000-\u0009\u000B-\u001F\u007F\u202A-\u202E\u2066-\u2069]/g, "");
+
+            return text.substr(0, maxTextLength);
+
+        },
+
+        /**
+         * Gives the element a tooltip. The library would wrap the element in
+         * a link to do so, so a <title/> element is added to it instead.
+         *
+         * @method entitle
+         *
+         * @param {object} element Element as created by the library.
+         * @param {string} title
+         *
+         * @private
+         */
+        entitle = function entitle(element, title) {
+
+            var tooltip;
+
+            if (Raphael.svg) {
+                tooltip = document.createElementNS("http://www.w3.org/2000/svg",
+                        "title");
+                tooltip.appendChild(document.createTextNode(sanitize(title)));
+                element.node.appendChild(tooltip);
+            } else {
+                element.node.title = sanitize(title);
+            }
+
+        },
+
         Canvas;
 
     // End var
@@ -241,6 +404,23 @@ U.Canvas = (function () {
          */
         this.height = this.r.height;
 
+        /**
+         * The top level SVG/VML DOM element.
+         *
+         * @property element
+         * @type object
+         */
+        this.element = this.r.canvas;
+
+        /**
+         * The factor by which the canvas is magnified on the page. Elements
+         * are always positioned in unmagnified canvas coordinates.
+         *
+         * @property scale
+         * @type number
+         */
+        this.scale = 1;
+
     };
 
 
@@ -261,7 +441,8 @@ U.Canvas = (function () {
      * @param {object} attributes Key-value pairs defining starting attributes
      *      for the element. For list of vailable attributes see library
      *      documentation (attribute names used must be those specified in the
-     *      W3C SVG 1.1 Specification).
+     *      W3C SVG 1.1 Specification). A "title" attribute gives the element
+     *      a tooltip.
      *
      * @return {object} The object created by Raphael for SVG/VML elements.
      */
@@ -278,7 +459,10 @@ U.Canvas = (function () {
             cx, // for "circle" and "ellipse"
             cy, // for "circle" and "ellipse"
             r, // for "circle"
-            text; // for "text"
+            text, // for "text"
+            title = attributes.title; // for all
+
+        delete attributes.title;
 
         switch (type) {
         case "path":
@@ -289,7 +473,7 @@ U.Canvas = (function () {
 
         case "rect":
             x = attributes.x || 0;
-            y = attributes.x || 0;
+            y = attributes.y || 0;
             width = attributes.width;
             height = attributes.height;
             rx = attributes.rx || undefined;
@@ -327,10 +511,9 @@ U.Canvas = (function () {
             break;
 
         case "text":
-            text = attributes.text;
+            text = sanitize(attributes.text);
             x = attributes.x || 0;
             y = attributes.y || 0;
-            // TODO sanitize text
             element = this.r.text(x, y, text);
             delete attributes.text;
             delete attributes.x;
@@ -339,8 +522,18 @@ U.Canvas = (function () {
             break;
         }
 
+        if (title !== undefined) {
+            entitle(element, title);
+        }
+
         // Record the width and height dimensions for the element
-        elementDimensions = element.getBBox();
+        try {
+            elementDimensions = element.getBBox();
+        } catch (e) {
+            // Some browsers can't measure elements that aren't rendered, eg.
+            // those of a canvas inside a hidden element
+            elementDimensions = {width: 0, height: 0};
+        }
         element.width = elementDimensions.width;
         element.height = elementDimensions.height;
 
@@ -365,12 +558,22 @@ U.Canvas = (function () {
     Canvas.prototype.adjust = function adjust(element, attributes) {
 
         if (element.paper) {
-            
+
+            if (attributes.d !== undefined) { // "d" is named "path" by the library
+                attributes.path = attributes.d;
+                delete attributes.d;
+            }
+
+            if (attributes.text !== undefined) {
+                attributes.text = sanitize(attributes.text);
+            }
+
             element.attr(attributes);
 
             // Update width and height dimensions recorded for the element if appropriate
             if (attributes.width || attributes.height || attributes.r ||
-                    attributes.rx || attributes.ry) {
+                    attributes.rx || attributes.ry || attributes.path ||
+                    attributes.text !== undefined || attributes["font-size"]) {
                 var elementDimensions = element.getBBox();
 
                 element.width = elementDimensions.width;
@@ -380,7 +583,12 @@ U.Canvas = (function () {
             var width = element.width || this.width,
                 height = element.height || this.height;
 
-            this.r.setSize(width, height);
+            this.r.setSize(width * this.scale, height * this.scale);
+
+            if (Raphael.svg) { // VML isn't magnified
+                this.element.setAttribute("viewBox", "0 0 " + width + " " +
+                        height);
+            }
 
             // Update width and height dimensions of canvas
             this.width = width;
@@ -389,6 +597,24 @@ U.Canvas = (function () {
 
     };
 
+    /**
+     * Magnifies the SVG/VML canvas on the page by the given factor.
+     *
+     * @method zoom
+     *
+     * @param {number} scale 1 shows the canvas at its actual size.
+     */
+    Canvas.prototype.zoom = function zoom(scale) {
+
+        this.scale = scale;
+
+        this.adjust({
+            width: this.width,
+            height: this.height
+        });
+
+    };
+
     /**
      * Moves the SVG/VML element relative to its current location.
      *
@@ -415,6 +641,45 @@ U.Canvas = (function () {
 
     };
 
+    /**
+     * Moves the SVG/VML element behind all others on the canvas.
+     *
+     * @method lower
+     *
+     * @param {object} element Element as returned by "create".
+     */
+    Canvas.prototype.lower = function lower(element) {
+
+        element.toBack();
+
+    };
+
+    /**
+     * Groups SVG/VML elements so that they can be moved and removed as one.
+     *
+     * @method group
+     *
+     * @param {array} elements Elements as returned by "create".
+     *
+     * @return {object} The set created by Raphael.
+     */
+    Canvas.prototype.group = function group(elements) {
+
+        return this.r.set(elements);
+
+    };
+
+    /**
+     * Removes all SVG/VML elements from the canvas.
+     *
+     * @method clear
+     */
+    Canvas.prototype.clear = function clear() {
+
+        this.r.clear();
+
+    };
+
     /**
      * Animates given SVG/VML element.
      *
@@ -498,6 +763,7 @@ U.Canvas = (function () {
  *  - Enables a layered UI with UI elements as masters and slaves of other
  *      UI elements.
  *  - <esc> steps back a layer in active UI elements.
+ *  - Keyboard shortcuts can be registered for the whole page.
  *  - Clicking anywhere on the page (except on UI element(s) registered through
  *      this class) will reset the UI and remove any active UI elements shown
  *      through this class.
@@ -541,13 +807,40 @@ U.state = (function () {
          */
         body = $("body"),
 
+        /**
+         * Holds the handlers of the registered keyboard shortcuts by their key
+         * combination (see the "shortcut" method).
+         *
+         * @property shortcuts
+         * @type object
+         */
+        shortcuts = {},
+
+        /**
+         * Names of the keys, other than letters and digits, that can be used
+         * in keyboard shortcuts, by their key codes.
+         *
+         * @property keys
+         * @type object
+         */
+        keys = {
+            8: "backspace",
+            13: "enter",
+            27: "esc",
+            37: "left",
+            38: "up",
+            39: "right",
+            40: "down",
+            46: "delete"
+        },
+
 
     // Private methods
         /**
          * Registers a new UI element and its receiver that will be used to
          * control the UI element. The receiver implements the following
          * interface:
-         *  property DOM;
+         *  property DOM; (optional)
          *  function show(options);
          *  function hide();
          *
@@ -562,6 +855,10 @@ U.state = (function () {
 
             element[name] = receiver;
 
+            if (!receiver.DOM) { // UI states that aren't shown in an element of their own
+                return;
+            }
+
             receiver.DOM.click(function (e) {
 
                 e.stopPropagation();
@@ -665,6 +962,27 @@ U.state = (function () {
 
             });
 
+        },
+
+        /**
+         * Registers a keyboard shortcut for the whole page. Shortcuts are not
+         * triggered while the user is typing into a form field.
+         *
+         * @method shortcut
+         *
+         * @param {string} combination The modifier keys followed by the key,
+         *      joined by "+", eg. "ctrl+shift+z". Modifiers must be given in
+         *      the order "ctrl", "shift", "alt". The Command key counts as
+         *      "ctrl". Keys are letters, digits or one of the names in "keys".
+         * @param {function} handler Called with the keydown event. Returns
+         *      false if it didn't act, in which case the key press is left to
+         *      the browser. Replaces the handler previously registered for
+         *      the same combination.
+         */
+        shortcut = function shortcut(combination, handler) {
+
+            shortcuts[combination.toLowerCase()] = handler;
+
         };
 
     // End var
@@ -680,6 +998,26 @@ U.state = (function () {
 
     });
 
+    // Trigger keyboard shortcuts
+    $(document).keydown(function (e) {
+
+        var key = keys[e.keyCode] ||
+                ((e.keyCode >= 48 && e.keyCode <= 90) ? // digits and letters
+                String.fromCharCode(e.keyCode).toLowerCase() : ""),
+            combination = (e.ctrlKey || e.metaKey ? "ctrl+" : "") +
+                (e.shiftKey ? "shift+" : "") + (e.altKey ? "alt+" : "") + key;
+
+        if (!key || !shortcuts[combination] ||
+                $(e.target).is("input, textarea, select")) {
+            return;
+        }
+
+        if (shortcuts[combination](e) !== false) {
+            e.preventDefault();
+        }
+
+    });
+
     // Reset UI when the user "clicks off", stop propagation to prevent
     $("html").click(function () {
 
@@ -692,21 +1030,40 @@ U.state = (function () {
     return {
         add: add,
         activate: activate,
-        deactivate: deactivate
+        deactivate: deactivate,
+        shortcut: shortcut
     };
 
 }());
 
 
 /**
- * Creates a category to which shapes can be added.
+ * Creates a category to which shapes can be added, showing the previews of
+ * any shapes U.catalogue already has for it.
+ *
+ * Each shape is defined once, in normalised units (see the SHAPES section at
+ * the top of this file), by either its path data alone or a definition (see
+ * U.catalogue), and kept in U.catalogue so that it's known wherever diagrams
+ * are drawn. Every category of the catalogue is shown as the page loads.
+ *
+ * Whole categories can be loaded as shape sets (see "load") in the format:
+ *
+ *  {
+ *      "category": "Basic",
+ *      "shapes": [definition, ...]
+ *  }
+ *
+ * Categories are browsed by their tabs, one at a time, and the shown one
+ * collapses when its tab is clicked again. Typing in the search box shows the
+ * shapes of every category whose names contain the text instead. The shapes
+ * used most recently are pinned above both, and remembered between visits.
  *
  * @class Shapes
  * @namespace U
  *
  * @constructor
  *
- * @param {string} groupName
+ * @param {string} categoryName Shown on the category's tab.
  *
  * @return {object}
  */
@@ -716,6 +1073,8 @@ U.Shapes = (function () {
     var //jQuery = jQuery || {},
         Canvas = U.Canvas,
         state = U.state,
+        path = U.path,
+        catalogue = U.catalogue,
 
 
     // Private properties
@@ -740,107 +1099,450 @@ U.Shapes = (function () {
          */
         container = $("#shape_previews"),
 
+        /**
+         * Holds the jQuery array of the box in which shapes are searched for
+         * by name.
+         *
+         * @property search
+         * @type array
+         *
+         * @private
+         */
+        search = $("<input/>", {
+            id: "shape_search",
+            type: "text",
+            placeholder: "search shapes"
+        }).appendTo(container),
 
-    // Private methods
-        Shapes;
+        /**
+         * Holds the recently used shapes, pinned above the categories:
+         *  - key: the local storage key under which they're kept
+         *  - limit: the number of shapes kept, the least recent are dropped
+         *  - shapes: the shapes (as returned by U.catalogue.define), most
+         *      recent first
+         *  - DOM: jQuery array of the element they're shown in
+         *  - canvas: the canvas upon which they're shown
+         *
+         * @property recent
+         * @type object
+         *
+         * @private
+         */
+        recent = {
+            key: "untangly.recent",
+            limit: 6,
+            shapes: [],
+            DOM: $("<div/>", {
+                id: "shape_recent"
+            }).appendTo(container)
+        },
 
-    // End var
+        /**
+         * Holds the jQuery array of the tabs that switch between categories.
+         *
+         * @property tabs
+         * @type array
+         *
+         * @private
+         */
+        tabs = $("<div/>", {
+            id: "shape_tabs"
+        }).appendTo(container),
 
+        /**
+         * Holds the shapes found by searching:
+         *  - shapes: the shapes (as returned by U.catalogue.define) whose
+         *      names match
+         *  - DOM: jQuery array of the element they're shown in
+         *  - canvas: the canvas upon which they're shown
+         *
+         * @property results
+         * @type object
+         *
+         * @private
+         */
+        results = {
+            shapes: [],
+            DOM: $("<div/>", {
+                id: "shape_results"
+            }).appendTo(container)
+        },
 
-    // Constructor
-    Shapes = function Shapes(categoryName) {
+        /**
+         * Holds each category:
+         *  - name: the name shown on its tab
+         *  - shapes: the shapes (as returned by U.catalogue.define) in the
+         *      order they were added, so that shapes can be picked by number
+         *  - DOM: jQuery array of the element its previews are shown in
+         *  - tab: jQuery array of its tab
+         *
+         * @property categories
+         * @type array
+         *
+         * @private
+         */
+        categories = [],
 
-        var s,
+        /**
+         * Index of the category shown in "categories", or -1 if all are
+         * collapsed.
+         *
+         * @property current
+         * @type integer
+         *
+         * @private
+         */
+        current = 0,
 
-            /**
-             * A counter used to keep track of the number of shapes added and
-             * subsequent previews created. This is used to manage the
-             * positioning of previews and the size of the underlying canvas.
-             *
-             * @property shape
-             * @type integer
-             *
-             * @private
-             */
-            shapeNumber = 0;
+        /**
+         * Whether the shape previews are shown.
+         *
+         * @property open
+         * @type boolean
+         *
+         * @private
+         */
+        open = false,
 
-        if (!(this instanceof U.Shapes)) {
-            return new U.Shapes(categoryName);
-        }
+        /**
+         * Colours the previews are drawn in (see "colour").
+         *
+         * @property colours
+         * @type object
+         *
+         * @private
+         */
+        colours = {
+            fill: "white",
+            stroke: "black"
+        },
 
-        category += 1; // this has to be done before the following two
+        /**
+         * The previews drawn, each with the "canvas" it's on, its "element"
+         * and whether its shape is "filled", so they can be recoloured.
+         *
+         * @property previews
+         * @type array
+         *
+         * @private
+         */
+        previews = [],
 
-        $("<div/>", {
-            id: "shapecategory_" + category 
-        }).appendTo(container);
 
-        s = new Canvas("shapecategory_" + category, {
-            width: 165,
-            height: 1
-        });
+    // Private methods
+        /**
+         * Hands the shape to the event handler as the user's choice and
+         * remembers it as recently used.
+         *
+         * @method choose
+         *
+         * @param {object} shape As returned by U.catalogue.define.
+         *
+         * @private
+         */
+        choose = function choose(shape) {
+
+            var i;
+
+            state.deactivate("shapes");
+
+            for (i = recent.shapes.length; i--;) {
+                if (recent.shapes[i].path === shape.path &&
+                        recent.shapes[i].element === shape.element) {
+                    recent.shapes.splice(i, 1);
+                }
+            }
+
+            recent.shapes.unshift(shape);
+            recent.shapes.length = Math.min(recent.shapes.length, recent.limit);
+
+            try {
+                localStorage.setItem(recent.key, JSON.stringify(recent.shapes));
+            } catch (e) {
+                // Storage is full or disabled; the shapes are remembered until the page is closed
+            }
+
+            fill(recent, recent.shapes);
+
+            Shapes.eventHandler(shape.path, shape.element);
+
+        },
 
         /**
-         * Adds flowcharting shape to the shape category.
+         * Draws the preview of a shape onto a canvas of previews, in the
+         * given place, to be chosen by clicking it.
          *
-         * @method add
+         * @method place
+         *
+         * @param {object} s The canvas of previews.
+         * @param {object} shape As returned by U.catalogue.define.
+         * @param {integer} number The place of the preview, counting from 1.
          *
-         * @param {string} preview The path data for the small shape
-         *      relative to the top left corner of its 34 pixel
-         *      allocated space. The path data must start with a capital
-         *      M indicating that the following coordinates are
-         *      positioned absolutely. This position will automatically
-         *      be amended to place the shape in the correct position.
-         *      All values and commands must be separated with a space.
-         * @param {string} shape The path data for the big shape
-         *      relative to the top left corner of its 89 pixel
-         *      allocated space. The path data must start with a capital
-         *      M indicating that the following coordinates are
-         *      positioned absolutely. This position will automatically
-         *      be amended to place the shape in the correct position.
-         *      All values and commands must be separated with a space.
-         */
-        this.add = function add(preview, shape) {
-
-            shapeNumber += 1;
-
-            preview = preview.split(" ");
-            // Adds 11 pixel left margin plus 55 pixels for each column to the left
-            preview[1] = +preview[1] + (shapeNumber + 2) % 3 * 55 + 11;
-            // Adds 11 pixel top margin plus 55 pixels for each row above the current
+         * @private
+         */
+        place = function place(s, shape, number) {
+
+            var preview;
+
+            // Scales the shape to 34 pixels and adds 11 pixel margins plus 55
+            // pixels for each column to the left and each row above
             // (x + 2) - (x + 2) % 3
             // --------------------- = rowNumber; rowNumber - 1 = multipler
-            //           3   where x is shapeNumber
-            preview[2] = +preview[2] + ((shapeNumber + 2 -
-                    (shapeNumber + 2) % 3) / 3 - 1) * 55 + 11;
-            preview.join(" ");
+            //           3   where x is number
+            preview = path.transform(shape.path, 34,
+                    (number + 2) % 3 * 55 + 11,
+                    ((number + 2 - (number + 2) % 3) / 3 - 1) * 55 + 11);
 
             preview = s.create("path", {
                 d: preview,
-                stroke: "black",
+                stroke: colours.stroke,
                 "stroke-width": 1,
-                fill: "white",
-                cursor: "pointer"
+                fill: shape.filled ? colours.stroke : colours.fill,
+                cursor: "pointer",
+                title: shape.tooltip || undefined
             });
 
-            preview.click(function () {
+            previews.push({
+                canvas: s,
+                element: preview,
+                filled: shape.filled
+            });
 
-                state.deactivate("shapes");
+            preview.click(function () {
 
-                Shapes.eventHandler(shape);
+                choose(shape);
 
             });
 
             s.adjust({
                 width: s.width,
-                height: (shapeNumber + 2 - (shapeNumber + 2) % 3) /  3 * 55
+                height: (number + 2 - (number + 2) % 3) /  3 * 55
             });
 
-        };
-
-    };
-
+        },
 
-    // Constructor prototype
+        /**
+         * Redraws a group of previews (see "recent" and "results") with the
+         * given shapes, hiding it if there are none.
+         *
+         * @method fill
+         *
+         * @param {object} group Has the "DOM" and "canvas" of the group.
+         * @param {array} list Shapes as returned by U.catalogue.define.
+         *
+         * @private
+         */
+        fill = function fill(group, list) {
+
+            var i;
+
+            for (i = previews.length; i--;) {
+                if (previews[i].canvas === group.canvas) {
+                    previews.splice(i, 1);
+                }
+            }
+
+            group.canvas.clear();
+
+            for (i = 0; i < list.length; i += 1) {
+                place(group.canvas, list[i], i + 1);
+            }
+
+            group.DOM.css("display", list.length ? "block" : "none");
+
+        },
+
+        /**
+         * Shows the category with the given index, hiding the others.
+         *
+         * @method show
+         *
+         * @param {integer} index Index of the category in "categories", or -1
+         *      to collapse them all.
+         *
+         * @private
+         */
+        show = function show(index) {
+
+            var i;
+
+            current = index;
+
+            for (i = categories.length; i--;) {
+                categories[i].DOM.css("display", i === index ? "block" : "none");
+                categories[i].tab.toggleClass("shown", i === index);
+            }
+
+        },
+
+        /**
+         * Shows the shapes of all categories whose names contain the text in
+         * the search box instead of the categories, or the categories again
+         * once the search box is emptied.
+         *
+         * @method filter
+         *
+         * @private
+         */
+        filter = function filter() {
+
+            var query = $.trim(search.val()).toLowerCase(),
+                shapes,
+                i,
+                j;
+
+            results.shapes = [];
+
+            if (query) {
+                for (i = 0; i < categories.length; i += 1) {
+                    shapes = categories[i].shapes;
+
+                    for (j = 0; j < shapes.length; j += 1) {
+                        if (shapes[j].name.toLowerCase().indexOf(query) !== -1) {
+                            results.shapes.push(shapes[j]);
+                        }
+                    }
+                }
+            }
+
+            fill(results, results.shapes);
+
+            tabs.css("display", query ? "none" : "block");
+
+            if (query) {
+                for (i = categories.length; i--;) {
+                    categories[i].DOM.css("display", "none");
+                }
+            } else {
+                show(current);
+            }
+
+        },
+
+        /**
+         * Picks the shape of the number key pressed from the shapes shown,
+         * either those found by searching or the category, as if its preview
+         * was clicked. Shapes are numbered from 1 in the order in which their
+         * previews are laid out: left to right, then top to bottom.
+         *
+         * @method pick
+         *
+         * @param {object} e jQuery event object of the keydown event.
+         *
+         * @return {boolean} False if no shape was picked.
+         *
+         * @private
+         */
+        pick = function pick(e) {
+
+            var number = e.keyCode - 48, // key codes of digits start at 48
+                list = $.trim(search.val()) ? results.shapes :
+                        categories[current] && categories[current].shapes,
+                shape = list && list[number - 1];
+
+            if (!open || !shape) {
+                return false;
+            }
+
+            choose(shape);
+
+        },
+
+        Shapes;
+
+    // End var
+
+
+    // Constructor
+    Shapes = function Shapes(categoryName) {
+
+        var s,
+
+            /**
+             * The category as kept in "categories".
+             *
+             * @property entry
+             * @type object
+             *
+             * @private
+             */
+            entry,
+            existing,
+            i;
+
+        if (!(this instanceof Shapes)) {
+            return new Shapes(categoryName);
+        }
+
+        category += 1; // this has to be done before the following two
+
+        entry = {
+            name: categoryName,
+            shapes: [],
+            DOM: $("<div/>", {
+                id: "shapecategory_" + category
+            }).appendTo(container),
+            tab: $("<a/>", {
+                href: "#",
+                text: categoryName
+            }).appendTo(tabs)
+        };
+
+        categories.push(entry);
+
+        // Clicking the tab of the category shown collapses it
+        entry.tab.click(function (e) {
+
+            var index = $.inArray(entry, categories);
+
+            e.preventDefault();
+
+            show(index === current ? -1 : index);
+
+        });
+
+        s = new Canvas("shapecategory_" + category, {
+            width: 165,
+            height: 1
+        });
+
+        show(current); // only the category shown is visible
+
+        existing = catalogue.shapes(categoryName);
+
+        for (i = 0; i < existing.length; i += 1) {
+            entry.shapes.push(existing[i]);
+
+            place(s, existing[i], entry.shapes.length);
+        }
+
+        /**
+         * Adds flowcharting shape to the shape category.
+         *
+         * @method add
+         *
+         * @param {string|object} definition The path data for the shape in
+         *      normalised units, relative to the top left corner of its
+         *      allocated space which is 1 unit square, or a definition (see
+         *      U.catalogue). The shape is scaled to the size of the nodes
+         *      when drawn, and to 34 pixels for its preview.
+         *
+         * @throws {Error} If the definition isn't valid.
+         */
+        this.add = function add(definition) {
+
+            var shape = catalogue.add(categoryName, definition);
+
+            entry.shapes.push(shape);
+
+            place(s, shape, entry.shapes.length);
+
+        };
+
+    };
+
+
+    // Constructor prototype
 
 
     // Constructor static properties
@@ -849,30 +1551,172 @@ U.Shapes = (function () {
     // Constructor static method(s)
     Shapes.eventHandler = function () {};
 
+    /**
+     * Recolours the shape previews, and those drawn from then on.
+     *
+     * @method colour
+     *
+     * @static
+     *
+     * @param {object} palette Has the "fill" and "stroke" colours of shapes;
+     *      filled shapes are drawn in the stroke colour.
+     */
+    Shapes.colour = function colour(palette) {
+
+        var i;
+
+        colours = {
+            fill: palette.fill,
+            stroke: palette.stroke
+        };
+
+        for (i = 0; i < previews.length; i += 1) {
+            previews[i].canvas.adjust(previews[i].element, {
+                stroke: colours.stroke,
+                fill: previews[i].filled ? colours.stroke : colours.fill
+            });
+        }
+
+    };
+
+    /**
+     * Creates a category from a shape set (see the top of this class), so
+     * that shapes can be shipped as JSON.
+     *
+     * @method load
+     *
+     * @static
+     *
+     * @param {object|string} set The shape set or its JSON.
+     *
+     * @return {object} The category created.
+     *
+     * @throws {Error} If the shape set or any of its shapes isn't valid, in
+     *      which case no category is created.
+     */
+    Shapes.load = function load(set) {
+
+        var loaded,
+            i;
+
+        if (typeof set === "string") {
+            set = JSON.parse(set);
+        }
+
+        if (!set || typeof set.category !== "string" ||
+                !$.isArray(set.shapes)) {
+            throw new Error("Not a shape set");
+        }
+
+        for (i = 0; i < set.shapes.length; i += 1) {
+            catalogue.define(set.shapes[i]); // throws before the category is created
+        }
+
+        loaded = new Shapes(set.category);
+
+        for (i = 0; i < set.shapes.length; i += 1) {
+            loaded.add(set.shapes[i]);
+        }
+
+        return loaded;
+
+    };
+
 
     // Initialisation proceedures
+    $("<span/>", {
+        text: "recent"
+    }).appendTo(recent.DOM);
+
+    recent.canvas = new Canvas($("<div/>").appendTo(recent.DOM)[0], {
+        width: 165,
+        height: 1
+    });
+
+    results.canvas = new Canvas("shape_results", {
+        width: 165,
+        height: 1
+    });
+
+    try {
+        recent.shapes = JSON.parse(localStorage.getItem(recent.key)) || [];
+    } catch (e) {
+        // Storage is disabled or holds something else; start afresh
+    }
+
+    // The same goes for anything but a list of shapes
+    if (!$.isArray(recent.shapes)) {
+        recent.shapes = [];
+    }
+
+    $.each(recent.shapes, function (i, shape) {
+
+        if (!shape || typeof shape.path !== "string") {
+            recent.shapes = [];
+
+            return false;
+        }
+
+    });
+
+    fill(recent, recent.shapes);
+    fill(results, results.shapes);
+
+    // Show every category the catalogue has shapes for
+    $.each(catalogue.names(), function (i, name) {
+
+        new Shapes(name);
+
+    });
+
+    search.bind("keyup", filter);
+
+    // Enter chooses the first shape found
+    search.keydown(function (e) {
+
+        if (e.keyCode === 13 && results.shapes.length) {
+            choose(results.shapes[0]);
+        }
+
+    });
+
     state.add("shapes", {
         DOM: $("#shape_previews"),
         activate: function activate(options) {
 
             var node = options.node,
+                scale = options.scale || 1, // magnification of the node's canvas
                 nodeLocation = $(node.shape.node).offset();
 
-            this.DOM.css("left", nodeLocation.left + node.shape.width / 2 -
-                    this.DOM.width() / 2 + "px");
-            this.DOM.css("top", nodeLocation.top + node.shape.height / 2 -
-                    this.DOM.height() / 2 + "px");
+            this.DOM.css("left", nodeLocation.left +
+                    node.shape.width * scale / 2 - this.DOM.width() / 2 + "px");
+            this.DOM.css("top", nodeLocation.top +
+                    node.shape.height * scale / 2 - this.DOM.height() / 2 + "px");
+
+            search.val("");
+            filter();
 
             this.DOM.css("display", "block");
 
+            open = true;
+
         },
         deactivate: function deactivate() {
 
             this.DOM.css("display", "none");
 
+            open = false;
+
         }
     });
 
+    // Pick shapes with the number keys while the previews are shown
+    $.each("123456789".split(""), function (i, key) {
+
+        state.shortcut(key, pick);
+
+    });
+
 
     // Public API
     return Shapes;
@@ -881,565 +1725,5821 @@ U.Shapes = (function () {
 
 
 /**
- * @class Untangly
+ * Reads flowcharts written in Mermaid's "flowchart" (or "graph") syntax
+ * (https://mermaid.js.org/syntax/flowchart.html) and lays them out on the grid.
+ *
+ * The nodes, their labels and shapes and the links between them are read;
+ * everything else, such as subgraphs, styles and click handlers, is skipped.
+ * Each shape of Mermaid is read as the closest of the Basic shapes:
+ *
+ *      A[Process]          Process             A{Decision}         Decision
+ *      A(Rounded)          Terminator          A{{Hexagon}}        Preparation
+ *      A([Stadium])        Terminator          A[/Lean/]           Input/output
+ *      A((Circle))         Terminator          A[/Trapezoid\]      Manual operation
+ *      A[(Database)]       Data file           A[[Subroutine]]     Process
+ *
+ * Links may be chained (A --> B --> C), join several nodes at once
+ * (A & B --> C) and have text (A -->|yes| B or A -- yes --> B), which is
+ * dropped as connectors aren't labelled. Every link becomes a connector with
+ * an arrowhead at its second node, whatever its ends (A --o B and A --x B
+ * included), except invisible links (A ~~~ B), which only place the nodes.
+ *
+ * @class mermaid
+ * @namespace U
  *
  * @static
  */
-(function () {
-    
+U.mermaid = (function () {
+
     // Dependencies
-    var Canvas = U.Canvas,
-        Shapes = U.Shapes,
-        state = U.state,
+    var //jQuery = jQuery || {},
 
 
     // Private properties
         /**
-         * Creates the SVG/VML canvas upon which the flowchart is drawn.
+         * The directions a flowchart can be drawn in, as the grid steps from
+         * one layer of nodes to the next ("layer") and from one node to the
+         * next within a layer ("across").
          *
-         * @property c
+         * @property directions
          * @type object
+         *
+         * @private
          */
-        c = new Canvas("untangly"), // dimensions declared in initialisation proceedures
+        directions = {
+            TB: {layer: [0, -1], across: [1, 0]},
+            TD: {layer: [0, -1], across: [1, 0]},
+            BT: {layer: [0, 1], across: [1, 0]},
+            LR: {layer: [1, 0], across: [0, -1]},
+            RL: {layer: [-1, 0], across: [0, -1]}
+        },
 
         /**
-         * Stores nodes in terms of their internal grid (x,y) coordinates such
-         * that they can be accessed through "grid[x][y]".
-         *
-         * Each entry stores:
-         *  - shape: the node's Raphael generated object
-         *  - id: the index value of the node in the "node" array
-         *  - x: the node's grid x coordinate
-         *  - y: the node's grid y coordinate
+         * The brackets around the labels of nodes, each with the name of the
+         * Basic shape it's read as (see the top of this class).
          *
-         * @property grid
+         * @property brackets
          * @type array
+         *
+         * @private
          */
-        grid = [],
+        brackets = [
+            {open: "(((", close: ")))", shape: "Terminator"},
+            {open: "([", close: "])", shape: "Terminator"},
+            {open: "((", close: "))", shape: "Terminator"},
+            {open: "[(", close: ")]", shape: "Data file"},
+            {open: "[[", close: "]]", shape: "Process"},
+            {open: "[/", close: "/]", shape: "Input/output"},
+            {open: "[/", close: "\\]", shape: "Manual operation"},
+            {open: "[\\", close: "\\]", shape: "Input/output"},
+            {open: "[\\", close: "/]", shape: "Manual operation"},
+            {open: "{{", close: "}}", shape: "Preparation"},
+            {open: "[", close: "]", shape: "Process"},
+            {open: "(", close: ")", shape: "Terminator"},
+            {open: "{", close: "}", shape: "Decision"},
+            {open: ">", close: "]", shape: "Process"}
+        ],
 
         /**
-         * Contains a reference to the object held by grid[x][y] for each node
-         * created (see documentation for "grid" property for object structure).
+         * Matches statements that are skipped.
          *
-         * @property node
-         * @type array
+         * @property skipped
+         * @type RegExp
+         *
+         * @private
          */
-        node = [],
+        skipped = /^(subgraph|end|direction|classDef|class|style|linkStyle|click)\b/,
 
         /**
-         * Holds the values of the bounds of the canvas recorded as units from
-         * the origin, eg. if bound.west is east of the origin it is recorded
-         * as a negative value.
+         * Matches links with text between their dashes, eg. "-- yes -->".
+         * Circle and cross ends ("--o " and "--x ") aren't text, so those are
+         * left to "link".
          *
-         * @property bound
-         * @type object
+         * @property textLink
+         * @type RegExp
+         *
+         * @private
          */
-        bound = {
-            north: 0,
-            east: 0,
-            south: 0,
-            west: 0
-        },
+        textLink = /^\s*(<|[xo](?=[\-=]))?(--|==|-\.)(?![xo]\s)\s*([^\-=.>|\s][\s\S]*?)\s*(-{2,}|={2,}|\.+-)(>|[xo](?=\s))?/,
 
         /**
-         * Holds pixel values used when drawing the grid on the canvas.
+         * Matches links, eg. "-->", "---", "-.->", "==>" or "~~~".
          *
-         *             (object)       (space)      (object)
-         *                89            55            89
-         *         _______^_______  ____^____  _______^_______
-         *        /               \/         \/               \
-         *                o                           o
+         * @property link
+         * @type RegExp
          *
-         *                \_____________ _____________/
-         *                               v
-         *                              144 (= (object) + (space))
-         *      (not to scale)         (gap)
-         *      
-         * @property pixel
-         * @type object
+         * @private
          */
-        pixel = {
-            object: 89,
-            space: 55
-        },
+        link = /^\s*(<|[xo](?=[\-=]))?(-{2,}|={2,}|-\.+-|~{3,})(>|[xo](?=\s))?/,
 
 
     // Private methods
         /**
-         * Returns canvas location for the given grid (x,y) coordinates.
+         * Splits a line of the flowchart into statements at semicolons that
+         * aren't inside quotes.
          *
-         * @method locateNode
+         * @method statementsOf
          *
-         * @param {integer} x
-         * @param {integer} y
+         * @param {string} line
          *
-         * @return {array} 0 = x, 1 = y. Arrays are faster than objects.
+         * @return {array} The statements, trimmed.
+         *
+         * @private
          */
-        locateNode = function locateNode(x, y) {
+        statementsOf = function statementsOf(line) {
 
-            var object = pixel.object,
-                space = pixel.space;
+            var statements = [],
+                quoted = false,
+                start = 0,
+                i;
 
-            x = space + object / 2 + // left padding
-                    (bound.west + x) * (object + space);       
-            y = space + object / 2 + // top padding
-                    (bound.north - y) * (object + space);
+            for (i = 0; i <= line.length; i += 1) {
+                if (line.charAt(i) === "\"") {
+                    quoted = !quoted;
+                } else if (i === line.length || (line.charAt(i) === ";" && !quoted)) {
+                    statements.push($.trim(line.slice(start, i)));
 
-            return [x, y];
+                    start = i + 1;
+                }
+            }
+
+            return statements;
 
         },
 
         /**
-         * Resizes the canvas given the current bounds.
+         * Turns the text between the brackets of a node into its label,
+         * taking off quotes and breaking lines at <br> tags.
          *
-         * @method resizeCanvas
+         * @method labelOf
+         *
+         * @param {string} content
+         *
+         * @return {string}
+         *
+         * @private
          */
-        resizeCanvas = function resizeCanvas() {
+        labelOf = function labelOf(content) {
 
-            var object = pixel.object,
-                space = pixel.space;
+            content = $.trim(content);
 
-            c.adjust({
-                width: (bound.west + bound.east) *
-                        (object + space) + object + space * 2, // account for space needed by origin node
-                height: (bound.north + bound.south) *
-                        (object + space) + object + space * 2 + 89 // account for space needed by origin node +89px for admin panel
-            });
+            if (/^".*"$/.test(content)) {
+                content = content.slice(1, -1);
+            }
+
+            return $.trim(content.replace(/\s*<br\s*\/?>\s*/gi, "\n").
+                    replace(/#quot;/g, "\"").replace(/#amp;/g, "&"));
 
         },
 
         /**
-         * Adjusts the value of the given bound by the value indicated.
+         * Reads the brackets around a node's label, if there are any, at the
+         * start of the text.
          *
-         * When both parameters are omitted all four bounds will be determined
-         * by the active nodes. This is inefficient and sacrifices performance
-         * so should only be used where bounds cannot feasibly be determined in
-         * other ways.
+         * @method bracketsOf
          *
-         * @method adjustBound
+         * @param {string} rest The text following the id of the node.
          *
-         * @param {string} direction [Optional] Valid values are "north",
-         *      "east", "south" and "west".
-         * @param {integer} value [Optional] The value by which the bound should
-         *      be adjusted. Valid range is -0+.
+         * @return {object} Has the "shape" and the "label" of the node and the
+         *      "length" of text read, or is null if there are no brackets.
+         *
+         * @private
          */
-        adjustBound = function adjustBound(direction, value) {
+        bracketsOf = function bracketsOf(rest) {
 
-            var position,
+            var found = null,
+                content,
+                end,
+                i;
+
+            for (i = 0; i < brackets.length; i += 1) {
+                if (rest.indexOf(brackets[i].open) === 0 && (!found ||
+                        brackets[i].open.length >= found.open.length)) {
+                    content = rest.slice(brackets[i].open.length);
+
+                    // Quoted labels may hold brackets of their own
+                    end = content.charAt(0) === "\"" ?
+                            content.indexOf("\"", 1) + 1 : 0;
+                    end = end ? content.indexOf(brackets[i].close, end) :
+                            content.indexOf(brackets[i].close);
+
+                    if (end !== -1 && (!found || brackets[i].open.length >
+                            found.open.length || end < found.end)) {
+                        found = {
+                            open: brackets[i].open,
+                            shape: brackets[i].shape,
+                            end: end,
+                            label: content.slice(0, end),
+                            length: brackets[i].open.length + end +
+                                    brackets[i].close.length
+                        };
+                    }
+                }
+            }
+
+            return found && {
+                shape: found.shape,
+                label: labelOf(found.label),
+                length: found.length
+            };
+
+        },
+
+        /**
+         * Reads the flowchart into its nodes and links.
+         *
+         * @method parse
+         *
+         * @param {string} source The flowchart in Mermaid's syntax.
+         *
+         * @return {object} Has the "direction" it's drawn in, its "nodes" in
+         *      the order they first appear, each with its "id", "label" and
+         *      "shape" (the name of a Basic shape), and its "links", each
+         *      "from" and "to" the index of a node and whether it's "hidden".
+         *
+         * @throws {Error} If the source isn't a flowchart or a statement can't
+         *      be read.
+         */
+        parse = function parse(source) {
+
+            var lines = String(source).split(/\r\n?|\n/),
+                graph = {
+                    direction: "",
+                    nodes: [],
+                    links: []
+                },
+                index = {}, // of the nodes in "nodes", by id
+                seen = {}, // the links read, by the indexes of their ends
+                first = 0, // line after the front matter, if there is any
+                statements,
+                statement,
+                number, // of the line
+                rest,
+                previous,
+                current,
+                hidden,
+                match,
                 i,
-                object,
-                space,
-                allX = [],
-                allY = [];
+                j,
+                k,
+
+                /**
+                 * Reads a node at the start of "rest", adding it to the graph
+                 * the first time it appears.
+                 *
+                 * @return {integer} Index of the node in "nodes", or -1 if
+                 *      there's no node.
+                 */
+                readNode = function readNode() {
+
+                    var id = /^\s*(\w+)/.exec(rest),
+                        shape;
+
+                    if (!id) {
+                        return -1;
+                    }
+
+                    rest = rest.slice(id[0].length);
+                    id = id[1];
+                    shape = bracketsOf(rest);
+
+                    if (!index.hasOwnProperty(id)) {
+                        index[id] = graph.nodes.length;
+                        graph.nodes.push({
+                            id: id,
+                            label: id,
+                            shape: "Process"
+                        });
+                    }
+
+                    // Later definitions of a node win, as in Mermaid
+                    if (shape) {
+                        graph.nodes[index[id]].label = shape.label;
+                        graph.nodes[index[id]].shape = shape.shape;
+
+                        rest = rest.slice(shape.length);
+                    }
+
+                    rest = rest.replace(/^:::\w+/, ""); // class names
+
+                    return index[id];
+
+                },
+
+                /**
+                 * Reads nodes joined by "&" at the start of "rest".
+                 *
+                 * @return {array} Indexes of the nodes in "nodes".
+                 */
+                readNodes = function readNodes() {
+
+                    var nodes = [],
+                        n = readNode();
+
+                    while (n !== -1) {
+                        nodes.push(n);
+
+                        if (!/^\s*&/.test(rest)) {
+                            break;
+                        }
+
+                        rest = rest.replace(/^\s*&/, "");
+                        n = readNode();
+                    }
+
+                    return nodes;
+
+                };
+
+            // Front matter, such as the title, is fenced by "---" lines
+            if ($.trim(lines[0]) === "---") {
+                first = 1;
+
+                while (first < lines.length && $.trim(lines[first]) !== "---") {
+                    first += 1;
+                }
+
+                first += 1;
+            }
+
+            for (number = first; number < lines.length; number += 1) {
+                statements = statementsOf(lines[number]);
+
+                for (i = 0; i < statements.length; i += 1) {
+                    statement = statements[i];
+
+                    if (!statement || /^%%/.test(statement)) {
+                        continue;
+                    }
+
+                    if (!graph.direction) {
+                        match = /^(flowchart|graph)(\s+(\w+))?$/.exec(statement);
+
+                        if (!match) {
+                            throw new Error("Not a Mermaid flowchart");
+                        }
+
+                        graph.direction = (match[3] || "TB").toUpperCase();
+
+                        if (!directions.hasOwnProperty(graph.direction)) {
+                            throw new Error("Flowcharts can't be drawn " +
+                                    match[3]);
+                        }
+
+                        continue;
+                    }
+
+                    if (skipped.test(statement)) {
+                        continue;
+                    }
+
+                    rest = statement;
+                    previous = readNodes();
+
+                    if (!previous.length) {
+                        throw new Error("Line " + (number + 1) +
+                                " of the flowchart can't be read");
+                    }
+
+                    match = textLink.exec(rest) || link.exec(rest);
+
+                    while (match) {
+                        hidden = /^~/.test(match[2]);
+                        rest = rest.slice(match[0].length).
+                                replace(/^\s*\|[^|]*\|/, ""); // text of the link
+                        current = readNodes();
+
+                        if (!current.length) {
+                            throw new Error("Line " + (number + 1) +
+                                    " of the flowchart can't be read");
+                        }
+
+                        for (j = 0; j < previous.length; j += 1) {
+                            for (k = 0; k < current.length; k += 1) {
+                                if (previous[j] !== current[k] &&
+                                        !seen.hasOwnProperty(previous[j] + "," + current[k])) {
+                                    seen[previous[j] + "," + current[k]] = true;
+
+                                    graph.links.push({
+                                        from: previous[j],
+                                        to: current[k],
+                                        hidden: hidden
+                                    });
+                                }
+                            }
+                        }
+
+                        previous = current;
+                        match = textLink.exec(rest) || link.exec(rest);
+                    }
+
+                    if ($.trim(rest)) {
+                        throw new Error("Line " + (number + 1) +
+                                " of the flowchart can't be read");
+                    }
+                }
+            }
+
+            if (!graph.direction) {
+                throw new Error("Not a Mermaid flowchart");
+            }
+
+            return graph;
+
+        },
+
+        /**
+         * Places the nodes of a flowchart on the grid in layers, found by a
+         * breadth first search from the nodes no link leads to. Each layer is
+         * a row (or a column, depending on the direction of the flowchart)
+         * and its nodes are centred on the widest layer in the order they're
+         * reached. Nodes only reachable around a loop start from the first of
+         * them.
+         *
+         * @method layout
+         *
+         * @param {object} graph As returned by "parse".
+         *
+         * @return {array} The grid coordinates of each node, as [x, y], in the
+         *      order of "nodes".
+         */
+        layout = function layout(graph) {
+
+            var direction = directions[graph.direction],
+                count = graph.nodes.length,
+                next = [], // indexes of the nodes each node links to
+                leads = [], // whether any link leads to each node
+                layerOf = [],
+                layers = [],
+                queue = [],
+                cells = [],
+                widest = 0,
+                offset,
+                n,
+                i,
+                j;
+
+            for (i = 0; i < count; i += 1) {
+                next.push([]);
+                leads.push(false);
+                layerOf.push(-1);
+            }
+
+            for (i = 0; i < graph.links.length; i += 1) {
+                next[graph.links[i].from].push(graph.links[i].to);
+                leads[graph.links[i].to] = true;
+            }
+
+            for (i = 0; i < count; i += 1) {
+                if (!leads[i]) {
+                    layerOf[i] = 0;
+                    queue.push(i);
+                }
+            }
+
+            for (i = 0; i < count; i += 1) {
+                // Loops that nothing leads into start from their first node
+                if (i === queue.length) {
+                    n = 0;
+
+                    while (layerOf[n] !== -1) {
+                        n += 1;
+                    }
+
+                    layerOf[n] = 0;
+                    queue.push(n);
+                }
+
+                n = queue[i];
+
+                if (!layers[layerOf[n]]) {
+                    layers[layerOf[n]] = [];
+                }
+
+                layers[layerOf[n]].push(n);
+
+                for (j = 0; j < next[n].length; j += 1) {
+                    if (layerOf[next[n][j]] === -1) {
+                        layerOf[next[n][j]] = layerOf[n] + 1;
+                        queue.push(next[n][j]);
+                    }
+                }
+            }
+
+            for (i = 0; i < layers.length; i += 1) {
+                widest = Math.max(widest, layers[i].length);
+            }
+
+            for (i = 0; i < layers.length; i += 1) {
+                offset = Math.floor((widest - layers[i].length) / 2);
+
+                for (j = 0; j < layers[i].length; j += 1) {
+                    cells[layers[i][j]] = [
+                        direction.layer[0] * i + direction.across[0] * (offset + j),
+                        direction.layer[1] * i + direction.across[1] * (offset + j)
+                    ];
+                }
+            }
+
+            return cells;
+
+        };
+
+    // End var
+
+
+    // Public API
+    return {
+        parse: parse,
+        layout: layout
+    };
+
+}());
+
+
+/**
+ * Draws and manages the diagram.
+ *
+ * Diagrams can be saved to and loaded from plain objects that are ready to be
+ * written out as JSON. The format of the document is:
+ *
+ *  {
+ *      "format": "untangly",
+ *      "version": 2,
+ *      "nodes": [
+ *          {"x": 0, "y": 0, "type": "engaged", "shapePath": "M 0 0.191 ...",
+ *                  "label": "Start"},
+ *          {"x": 0, "y": 1, "type": "single"},
+ *          ...
+ *      ],
+ *      "connectors": [
+ *          {"from": [0, 0], "to": [1, 0]},
+ *          ...
+ *      ],
+ *      "containers": [
+ *          {"id": 1, "type": "lane", "label": "Sales", "rows": [1, 0]},
+ *          ...
+ *      ]
+ *  }
+ *
+ * where "x" and "y" are grid coordinates and "shapePath" is the path data of
+ * the shape as selected from U.Shapes, in normalised units. Version 1 documents
+ * had shapes in pixels of the default 89 pixel node size instead; they're
+ * converted as they're loaded. Engaged nodes whose shape stands for an element
+ * of a notation (see U.Shapes) also have that "element", such as "bpmn:task",
+ * and entities may have "attributes", a list of strings. Nodes drawn other than
+ * as default have their "style", eg. {"fill": "#ffcc00", "line": "dashed"},
+ * with any of the "fill" and "stroke" colours, the "line" ("solid", "dashed" or
+ * "dotted") and the "opacity". Nodes spanning several cells of the grid have
+ * their "span", eg. {"columns": 2, "rows": 1}, and are located by their
+ * North-West cell. Relationships between entities whose cardinality has been
+ * changed have the "cardinality" of each end, eg. {"from": "one", "to":
+ * "one-or-many"} (see U.connector).
+ *
+ * The "containers" are the lanes and groups drawn behind the nodes, if there
+ * are any. Lanes range over either the "rows" or the "columns" of the grid
+ * and groups over both, from North to South and West to East. Engaged nodes
+ * in a lane or group have its id as their "lane" or "group"; they're written
+ * out for the sake of other programs and worked out afresh as the diagram is
+ * loaded.
+ *
+ * Flowcharts written in Mermaid's syntax can be imported in place of the
+ * diagram (see U.mermaid); their nodes are laid out on the grid and engaged
+ * with the closest Basic shapes.
+ *
+ * Engaged nodes copied or cut to the clipboard are written out as JSON in the
+ * same format, with "format" set to "untangly-clipboard", only Engaged nodes
+ * and only the connectors between them. Their "x" and "y" are offsets from the
+ * North-West corner of the nodes copied, which is placed on the cell under the
+ * keyboard cursor or else the mouse when they're pasted (beside the diagram if
+ * the mouse hasn't been over it).
+ *
+ * Engaged nodes can be dragged onto any cell of the grid that isn't taken by
+ * another Engaged node.
+ *
+ * The canvas can be zoomed by turning the mouse wheel (or pinching) while
+ * holding <ctrl>, and panned by dragging it with the middle mouse button or
+ * while holding <space>. <ctrl>+<0> shows it at its actual size, or shrinks it
+ * to fit in the window. While the canvas doesn't fit in the window, a minimap
+ * shows where in the diagram the window is and can be dragged across to move
+ * about.
+ *
+ * Changes made by the user are recorded as commands that can be undone with
+ * <ctrl>+<z> and redone with <ctrl>+<shift>+<z>.
+ *
+ * Every change to the diagram is also saved to the browser's local storage a
+ * moment after it's made, keeping a short history of snapshots from which the
+ * diagram can be restored after the page is closed or crashes.
+ *
+ * @class Untangly
+ * @namespace U
+ *
+ * @static
+ */
+U.Untangly = (function () {
+
+    // Dependencies
+    var Canvas = U.Canvas,
+        Shapes = U.Shapes,
+        catalogue = U.catalogue,
+        state = U.state,
+        connector = U.connector,
+        text = U.text,
+        exporter = U.exporter,
+        mermaid = U.mermaid,
+        path = U.path,
+
+
+    // Private properties
+        /**
+         * Creates the SVG/VML canvas upon which the flowchart is drawn.
+         *
+         * @property c
+         * @type object
+         */
+        c = new Canvas("untangly"), // dimensions declared in initialisation proceedures
+
+        /**
+         * Stores nodes in terms of their internal grid (x,y) coordinates such
+         * that they can be accessed through "grid[x][y]".
+         *
+         * Each entry stores:
+         *  - shape: the node's Raphael generated object
+         *  - id: the index value of the node in the "node" array
+         *  - x: the node's grid x coordinate
+         *  - y: the node's grid y coordinate
+         *  - label: [Engaged only, optional] the text shown inside the shape
+         *  - text: [Engaged only, optional] the Raphael generated object of
+         *      the label, or the group of objects of the label, the dividing
+         *      line and the attributes
+         *  - element: [Engaged only, optional] the type of element the shape
+         *      stands for (see U.Shapes)
+         *  - attributes: [Engaged only, optional] list of the attributes of
+         *      an entity, as strings, shown below the label
+         *  - style: [Engaged only, optional] how the shape is drawn where it
+         *      differs from the default: its "fill" and "stroke" colours, its
+         *      "line" ("solid", "dashed" or "dotted") and its "opacity"
+         *      (0 to 1)
+         *  - span: [Engaged only, optional] the number of "columns" and "rows"
+         *      of cells the node spans East and South of its own, if more
+         *      than one; every cell spanned refers to the node
+         *  - lane: [Engaged only, optional] the id of the lane its North-West
+         *      cell lies in (see "containers"), kept up to date as the
+         *      diagram changes
+         *  - group: [Engaged only, optional] the id of the group its
+         *      North-West cell lies in, likewise
+         *
+         * @property grid
+         * @type array
+         */
+        grid = [],
+
+        /**
+         * Contains a reference to the object held by grid[x][y] for each node
+         * created (see documentation for "grid" property for object structure).
+         *
+         * @property node
+         * @type array
+         */
+        node = [],
+
+        /**
+         * Holds the values of the bounds of the canvas recorded as units from
+         * the origin, eg. if bound.west is east of the origin it is recorded
+         * as a negative value.
+         *
+         * @property bound
+         * @type object
+         */
+        bound = {
+            north: 0,
+            east: 0,
+            south: 0,
+            west: 0
+        },
+
+        /**
+         * Holds pixel values used when drawing the grid on the canvas.
+         *
+         *             (object)       (space)      (object)
+         *                89            55            89
+         *         _______^_______  ____^____  _______^_______
+         *        /               \/         \/               \
+         *                o                           o
+         *
+         *                \_____________ _____________/
+         *                               v
+         *                              144 (= (object) + (space))
+         *      (not to scale)         (gap)
+         *      
+         * @property pixel
+         * @type object
+         */
+        pixel = {
+            object: 89,
+            space: 55
+        },
+
+        /**
+         * The least and the most each of the "pixel" values can be set to
+         * (0 = least, 1 = most).
+         *
+         * @property sizes
+         * @type object
+         */
+        sizes = {
+            object: [34, 233],
+            space: [13, 144]
+        },
+
+        /**
+         * Dash patterns of the line styles of outlines (see "grid"), as taken
+         * by the SVG/VML library.
+         *
+         * @property dashes
+         * @type object
+         */
+        dashes = {
+            solid: "",
+            dashed: "- ",
+            dotted: ". "
+        },
+
+        /**
+         * The themes the diagram can be drawn in (see THEMES at the top of
+         * this file), by name.
+         *
+         * Each entry stores:
+         *  - name: the name of the theme
+         *  - background: the colour behind the canvas
+         *  - fill: the default fill of shapes
+         *  - stroke: the default outline of shapes, also used for connectors
+         *      and to fill solid shapes (see U.catalogue)
+         *  - text: the colour of labels
+         *  - dot: the colour of Single nodes
+         *  - overlay: [optional] the background of the menu, the style editor
+         *      and the shape previews, which keep their own if omitted
+         *  - overlayText: [optional] the colour of text and links on the
+         *      overlays
+         *
+         * @property themes
+         * @type object
+         */
+        themes = {
+            light: {
+                name: "light",
+                background: "#ffffff",
+                fill: "#ffffff",
+                stroke: "#000000",
+                text: "#000000",
+                dot: "#000000"
+            },
+            dark: {
+                name: "dark",
+                background: "#1e2126",
+                fill: "#2b2f36",
+                stroke: "#e0e0e0",
+                text: "#e0e0e0",
+                dot: "#8a8f98",
+                overlay: "#2b2f36",
+                overlayText: "#cccccc"
+            },
+            "high-contrast": {
+                name: "high-contrast",
+                background: "#000000",
+                fill: "#000000",
+                stroke: "#ffff00",
+                text: "#ffffff",
+                dot: "#00ffff",
+                overlay: "#000000",
+                overlayText: "#ffff00"
+            },
+            print: {
+                name: "print",
+                background: "#ffffff",
+                fill: "#ffffff",
+                stroke: "#000000",
+                text: "#000000",
+                dot: "#cccccc",
+                overlay: "#ffffff",
+                overlayText: "#000000"
+            }
+        },
+
+        /**
+         * The theme in use (see "themes").
+         *
+         * @property palette
+         * @type object
+         */
+        palette = themes.light,
+
+        /**
+         * Contains an entry for each connector drawn between two Engaged
+         * nodes.
+         *
+         * Each entry stores:
+         *  - from: the node object from which the connector starts
+         *  - to: the node object at which the connector ends (arrowhead)
+         *  - cardinality: [optional] the cardinality of the "from" and "to"
+         *      ends of a relationship between entities (see
+         *      U.connector.relates), where they've been changed
+         *  - line: the Raphael generated object of the connecting line
+         *  - head: the Raphael generated object of the arrowhead, or of the
+         *      cardinality marker at the end of a relationship
+         *  - tail: [relationships only] the Raphael generated object of the
+         *      cardinality marker at the start
+         *
+         * @property connectors
+         * @type array
+         */
+        connectors = [],
+
+        /**
+         * Contains an entry for each lane and group drawn behind the nodes
+         * (see LANES AND GROUPS at the top of this file).
+         *
+         * Each entry stores:
+         *  - id: the number identifying the container to its nodes
+         *  - type: either "lane" or "group"
+         *  - label: the text of its header
+         *  - rows: [optional for lanes] the grid y coordinates of its
+         *      North-most and South-most rows
+         *  - columns: [optional for lanes] the grid x coordinates of its
+         *      West-most and East-most columns; a lane has either "rows" or
+         *      "columns" and stretches across the grid the other way
+         *  - drawing: the Raphael generated objects of its box and header
+         *
+         * @property containers
+         * @type array
+         */
+        containers = [],
+
+        /**
+         * The id given to the last container made (see "containers").
+         *
+         * @property lastContainer
+         * @type integer
+         */
+        lastContainer = 0,
+
+        /**
+         * Holds the Engaged node from which a new connector is being drawn
+         * while the user picks the node at which it ends.
+         *
+         * @property connecting
+         * @type object
+         */
+        connecting = null,
+
+        /**
+         * Version of the document format written by "save". Documents of a
+         * later version can't be loaded, those of an earlier one are upgraded
+         * (see "upgrade").
+         *
+         * @property version
+         * @type integer
+         */
+        version = 2,
+
+        /**
+         * Settings for saving snapshots of the diagram to local storage:
+         *  - key: the local storage key under which snapshots are kept
+         *  - limit: the number of snapshots kept, the oldest are dropped first
+         *  - delay: milliseconds to wait after a change before the snapshot
+         *      is taken, so that a burst of changes produces one snapshot
+         *  - timer: ID of the timeout for the pending snapshot
+         *
+         * @property autosave
+         * @type object
+         */
+        autosave = {
+            key: "untangly.snapshots",
+            limit: 10,
+            delay: 1000,
+            timer: null
+        },
+
+        /**
+         * Holds the commands performed by the user (see "perform"):
+         *  - done: commands that can be undone, the latest last
+         *  - undone: commands that can be redone, the latest undone last
+         *
+         * Commands locate nodes by their grid coordinates because the node
+         * objects themselves are replaced as nodes are deleted and restored.
+         *
+         * @property commands
+         * @type object
+         */
+        commands = {
+            done: [],
+            undone: []
+        },
+
+        /**
+         * Holds the state of the node being dragged to another cell:
+         *  - node: the Engaged node pressed, null when not dragging
+         *  - nodes: the Engaged nodes moved along with it, which are the
+         *      selected nodes when it's one of them
+         *  - x, y: page coordinates where the node was pressed
+         *  - moved: whether the mouse has moved far enough to be a drag
+         *  - target: grid coordinates (0 = x, 1 = y) of the cell under the
+         *      mouse
+         *  - suppress: set between the end of a drag and the click event that
+         *      follows it so that the click isn't taken as selecting the node
+         *
+         * @property drag
+         * @type object
+         */
+        drag = {
+            node: null,
+            nodes: [],
+            x: 0,
+            y: 0,
+            moved: false,
+            target: null,
+            suppress: false
+        },
+
+        /**
+         * Holds the jQuery array of the outline marking the cell onto which a
+         * dragged node will be dropped.
+         *
+         * @property outline
+         * @type array
+         */
+        outline = $("#move"),
+
+        /**
+         * The Engaged nodes currently selected (see the "selection" UI
+         * state).
+         *
+         * @property selection
+         * @type array
+         */
+        selection = [],
+
+        /**
+         * Holds the state of the rectangle dragged across the background to
+         * select the nodes within it:
+         *  - x, y: canvas coordinates where the mouse was pressed
+         *  - add: whether the nodes are added to the current selection
+         *  - rect: the rectangle drawn, null until the mouse has moved
+         *
+         * @property band
+         * @type object
+         */
+        band = {
+            x: 0,
+            y: 0,
+            add: false,
+            rect: null
+        },
+
+        /**
+         * Holds the state of the keyboard cursor:
+         *  - x, y: grid coordinates of the cell the cursor is on
+         *  - shown: whether the cursor is shown, which it is from the moment
+         *      an arrow key is pressed until the mouse is next pressed
+         *
+         * @property cursor
+         * @type object
+         */
+        cursor = {
+            x: 0,
+            y: 0,
+            shown: false
+        },
+
+        /**
+         * Holds the jQuery array of the outline marking the cell the keyboard
+         * cursor is on.
+         *
+         * @property marker
+         * @type array
+         */
+        marker = $("#cursor"),
+
+        /**
+         * Grid coordinates (0 = x, 1 = y) of the cell last under the mouse,
+         * null until the mouse has moved over the canvas.
+         *
+         * @property pointer
+         * @type array
+         */
+        pointer = null,
+
+        /**
+         * The least and the most the canvas can be magnified.
+         *
+         * @property zoom
+         * @type object
+         */
+        zoom = {
+            min: 0.25,
+            max: 4
+        },
+
+        /**
+         * Holds the state of panning the canvas:
+         *  - space: whether <space> is held down, turning the left mouse
+         *      button into a panning one
+         *  - x, y: client coordinates of the mouse as last panned
+         *
+         * @property pan
+         * @type object
+         */
+        pan = {
+            space: false,
+            x: 0,
+            y: 0
+        },
+
+        /**
+         * Holds the overview of the whole diagram shown when the canvas
+         * doesn't fit in the window:
+         *  - DOM: jQuery array of the element the overview is shown in
+         *  - canvas: the canvas upon which the overview is drawn
+         *  - width, height: the most room the overview can take up
+         *  - scale: the size of the overview relative to the canvas
+         *  - view: the rectangle marking the part of the canvas in the window
+         *  - timer: the pending redraw, if any
+         *
+         * @property minimap
+         * @type object
+         */
+        minimap = {
+            DOM: $("#minimap"),
+            canvas: new Canvas("minimap"),
+            width: 180,
+            height: 120,
+            scale: 1,
+            view: null,
+            timer: null
+        },
+
+
+    // Private methods
+        /**
+         * Returns canvas location for the given grid (x,y) coordinates.
+         *
+         * @method locateNode
+         *
+         * @param {integer} x
+         * @param {integer} y
+         *
+         * @return {array} 0 = x, 1 = y. Arrays are faster than objects.
+         */
+        locateNode = function locateNode(x, y) {
+
+            var object = pixel.object,
+                space = pixel.space;
+
+            x = space + object / 2 + // left padding
+                    (bound.west + x) * (object + space);       
+            y = space + object / 2 + // top padding
+                    (bound.north - y) * (object + space);
+
+            return [x, y];
+
+        },
+
+        /**
+         * Returns the number of columns and rows of cells the node spans (see
+         * "grid").
+         *
+         * @method spanOf
+         *
+         * @param {object} n Node as stored in "grid".
+         *
+         * @return {object} Has the "columns" and "rows".
+         */
+        spanOf = function spanOf(n) {
+
+            return n.span || {
+                columns: 1,
+                rows: 1
+            };
+
+        },
+
+        /**
+         * Returns the cells spanned by a node with its North-West cell at the
+         * given grid coordinates.
+         *
+         * @method coveredCells
+         *
+         * @param {integer} x
+         * @param {integer} y
+         * @param {object} span As returned by "spanOf".
+         *
+         * @return {array} Grid coordinates (0 = x, 1 = y), the North-West
+         *      cell first.
+         */
+        coveredCells = function coveredCells(x, y, span) {
+
+            var cells = [],
+                i,
+                j;
+
+            for (j = 0; j < span.rows; j += 1) {
+                for (i = 0; i < span.columns; i += 1) {
+                    cells.push([x + i, y - j]);
+                }
+            }
+
+            return cells;
+
+        },
+
+        /**
+         * Returns the cells above, right of, below and left of the rectangle
+         * of cells spanned by a node with its North-West cell at the given
+         * grid coordinates, where Single nodes surround it.
+         *
+         * @method borderCells
+         *
+         * @param {integer} x
+         * @param {integer} y
+         * @param {object} span As returned by "spanOf".
+         *
+         * @return {array} Grid coordinates (0 = x, 1 = y).
+         */
+        borderCells = function borderCells(x, y, span) {
+
+            var cells = [],
+                i;
+
+            for (i = 0; i < span.columns; i += 1) {
+                cells.push([x + i, y + 1]); // North
+            }
+            for (i = 0; i < span.rows; i += 1) {
+                cells.push([x + span.columns, y - i]); // East
+            }
+            for (i = 0; i < span.columns; i += 1) {
+                cells.push([x + i, y - span.rows]); // South
+            }
+            for (i = 0; i < span.rows; i += 1) {
+                cells.push([x - 1, y - i]); // West
+            }
+
+            return cells;
+
+        },
+
+        /**
+         * Returns the canvas location of the centre of the cells the node
+         * spans.
+         *
+         * @method centreOf
+         *
+         * @param {object} n Node as stored in "grid".
+         *
+         * @return {array} 0 = x, 1 = y.
+         */
+        centreOf = function centreOf(n) {
+
+            var span = spanOf(n);
+
+            return locateNode(n.x + (span.columns - 1) / 2,
+                    n.y - (span.rows - 1) / 2);
+
+        },
+
+        /**
+         * Returns the pixel width and height of the space the shape of the
+         * node can occupy, which takes in the gaps between the cells it
+         * spans.
+         *
+         * @method sizeOf
+         *
+         * @param {object} n Node as stored in "grid".
+         *
+         * @return {array} 0 = width, 1 = height.
+         */
+        sizeOf = function sizeOf(n) {
+
+            var span = spanOf(n),
+                object = pixel.object,
+                space = pixel.space;
+
+            return [span.columns * (object + space) - space,
+                    span.rows * (object + space) - space];
+
+        },
+
+        /**
+         * Tells whether the cell at the given grid coordinates holds an
+         * Engaged node.
+         *
+         * @method isEngaged
+         *
+         * @param {integer} x
+         * @param {integer} y
+         *
+         * @return {boolean}
+         */
+        isEngaged = function isEngaged(x, y) {
+
+            return !!(grid[x] && grid[x][y] && grid[x][y].type === "engaged");
+
+        },
+
+        /**
+         * Whether a node spanning the given cells could be placed with its
+         * North-West cell at the given grid coordinates, that is, none of the
+         * cells holds an Engaged node other than those given.
+         *
+         * @method fits
+         *
+         * @param {integer} x
+         * @param {integer} y
+         * @param {object} span As returned by "spanOf".
+         * @param {array} moving Engaged nodes as stored in "grid" that are
+         *      making way.
+         *
+         * @return {boolean}
+         */
+        fits = function fits(x, y, span, moving) {
+
+            var cells = coveredCells(x, y, span),
+                i;
+
+            for (i = cells.length; i--;) {
+                if (isEngaged(cells[i][0], cells[i][1]) &&
+                        $.inArray(grid[cells[i][0]][cells[i][1]], moving) === -1) {
+                    return false;
+                }
+            }
+
+            return true;
+
+        },
+
+        /**
+         * Applies the style of the Engaged node to its shape (see "grid"),
+         * drawing it as default in whatever the style doesn't set.
+         *
+         * @method paint
+         *
+         * @param {object} n Engaged node as stored in "grid".
+         */
+        paint = function paint(n) {
+
+            var style = n.style || {};
+
+            c.adjust(n.shape, {
+                fill: style.fill ||
+                        (catalogue.isFilled(n.shapePath) ? palette.stroke : palette.fill),
+                stroke: style.stroke || palette.stroke,
+                "stroke-dasharray": dashes[style.line] || dashes.solid,
+                opacity: style.opacity === undefined ? 1 : style.opacity
+            });
+
+        },
+
+        /**
+         * Returns the path data of the Engaged node's shape, scaled to the
+         * size of the nodes (stretched across the cells it spans) and moved
+         * into the node's place on the canvas.
+         *
+         * @method shapeData
+         *
+         * @param {object} n Engaged node as stored in "grid".
+         *
+         * @return {string}
+         */
+        shapeData = function shapeData(n) {
+
+            var size = sizeOf(n),
+                location = centreOf(n);
+
+            return path.transform(n.shapePath, size,
+                    location[0] - size[0] / 2, location[1] - size[1] / 2);
+
+        },
+
+        /**
+         * Returns the grid (x,y) coordinates of the cell nearest to the given
+         * page location, kept within the bounds. Accounts for the canvas being
+         * magnified.
+         *
+         * @method locateCell
+         *
+         * @param {number} left Page x coordinate.
+         * @param {number} top Page y coordinate.
+         *
+         * @return {array} 0 = x, 1 = y.
+         */
+        locateCell = function locateCell(left, top) {
+
+            var object = pixel.object,
+                space = pixel.space,
+                offset = $(c.element).offset(),
+                x = Math.round(((left - offset.left) / c.scale - space -
+                        object / 2) / (object + space)) - bound.west,
+                y = bound.north - Math.round(((top - offset.top) / c.scale -
+                        space - object / 2) / (object + space));
+
+            return [Math.max(-bound.west, Math.min(bound.east, x)),
+                    Math.max(-bound.south, Math.min(bound.north, y))];
+
+        },
+
+        /**
+         * Resizes the canvas given the current bounds.
+         *
+         * @method resizeCanvas
+         */
+        resizeCanvas = function resizeCanvas() {
+
+            var object = pixel.object,
+                space = pixel.space;
+
+            c.adjust({
+                width: (bound.west + bound.east) *
+                        (object + space) + object + space * 2, // account for space needed by origin node
+                height: (bound.north + bound.south) *
+                        (object + space) + object + space * 2 + 89 // account for space needed by origin node +89px for admin panel
+            });
+
+            drawContainers(); // lanes stretch across the grid as it grows
+
+            refreshMinimap();
+
+        },
+
+        /**
+         * Adjusts the value of the given bound by the value indicated.
+         *
+         * When both parameters are omitted all four bounds will be determined
+         * by the active nodes. This is inefficient and sacrifices performance
+         * so should only be used where bounds cannot feasibly be determined in
+         * other ways.
+         *
+         * @method adjustBound
+         *
+         * @param {string} direction [Optional] Valid values are "north",
+         *      "east", "south" and "west".
+         * @param {integer} value [Optional] The value by which the bound should
+         *      be adjusted. Valid range is -0+.
+         */
+        adjustBound = function adjustBound(direction, value) {
+
+            var position,
+                i,
+                object,
+                space,
+                allX = [],
+                allY = [];
+
+            switch (direction) {
+            case "north":
+                bound.north += value;
+                resizeCanvas();
+                object = pixel.object;
+                space = pixel.space;
+                for (i = node.length; i--;) {
+                    c.move(node[i].shape, 0, (space + object) * value);
+
+                    if (node[i].text) {
+                        c.move(node[i].text, 0, (space + object) * value);
+                    }
+                }
+                redrawConnectors();
+                placeCursor();
+                break;
+
+            case "east":
+                bound.east += value;
+                resizeCanvas();
+                break;
+
+            case "south":
+                bound.south += value;
+                resizeCanvas();
+                break;
+
+            case "west":
+                bound.west += value;
+                resizeCanvas();
+                object = pixel.object;
+                space = pixel.space;
+                for (i = node.length; i--;) {
+                    c.move(node[i].shape, (space + object) * value, 0);
+
+                    if (node[i].text) {
+                        c.move(node[i].text, (space + object) * value, 0);
+                    }
+                }
+                redrawConnectors();
+                placeCursor();
+                break;
+
+            default:
+                for (i = node.length; i--;) {
+                    allX.push(node[i].x);
+                    allY.push(node[i].y);
+                }
+                adjustBound("north", Math.max.apply(Math, allY) - bound.north);
+                adjustBound("east", Math.max.apply(Math, allX) - bound.east);
+                adjustBound("south", -Math.min.apply(Math, allY) - bound.south); // all y below origin are negative
+                adjustBound("west", -Math.min.apply(Math, allX) - bound.west); // all x left of origin are negative
+                break;
+            }
+
+        },
+
+        /**
+         * Returns the grid coordinates, span and shape dimensions of the given
+         * node in the form required for routing connectors.
+         *
+         * @method extent
+         *
+         * @param {object} n Node as stored in "grid".
+         *
+         * @return {object}
+         */
+        extent = function extent(n) {
+
+            var span = spanOf(n);
+
+            return {
+                x: n.x + (span.columns - 1) / 2, // the centre of the cells spanned
+                y: n.y - (span.rows - 1) / 2,
+                columns: span.columns,
+                rows: span.rows,
+                width: n.shape.width,
+                height: n.shape.height
+            };
+
+        },
+
+        /**
+         * Draws the given connector on the canvas, replacing its previous
+         * drawing if there is one.
+         *
+         * @method drawConnector
+         *
+         * @param {object} link Entry of the "connectors" array.
+         */
+        drawConnector = function drawConnector(link) {
+
+            var points = connector.route(extent(link.from), extent(link.to),
+                    locateNode),
+                mark = function mark(end) {
+
+                    var marker = c.create("path", {
+                        d: connector.marker(points, end,
+                                (link.cardinality || {})[end]),
+                        stroke: palette.stroke,
+                        "stroke-width": 2,
+                        fill: palette.fill,
+                        cursor: "pointer",
+                        title: "click to change the cardinality"
+                    });
+
+                    marker.click(function () {
+
+                        cycleCardinality(link, end);
+
+                    });
+
+                    return marker;
+
+                };
+
+            if (link.line) {
+                c.adjust(link.line, {
+                    d: connector.line(points),
+                    stroke: palette.stroke
+                });
+                c.remove(link.head);
+            } else {
+                link.line = c.create("path", {
+                    d: connector.line(points),
+                    stroke: palette.stroke,
+                    "stroke-width": 2,
+                    fill: "none"
+                });
+            }
+
+            if (link.tail) {
+                c.remove(link.tail);
+                delete link.tail;
+            }
+
+            // Either end may have become or stopped being an entity since
+            if (connector.relates(link.from, link.to)) {
+                link.head = mark("to");
+                link.tail = mark("from");
+            } else {
+                link.head = c.create("path", {
+                    d: connector.arrowhead(points),
+                    stroke: "none",
+                    fill: palette.stroke
+                });
+            }
+
+        },
+
+        /**
+         * Redraws every connector, eg. after the nodes have been shifted.
+         *
+         * @method redrawConnectors
+         */
+        redrawConnectors = function redrawConnectors() {
+
+            var i;
+
+            for (i = connectors.length; i--;) {
+                drawConnector(connectors[i]);
+            }
+
+        },
+
+        /**
+         * Removes the connectors that start or end at the given node. If a
+         * second node is given only a connector going from the first node to
+         * the second is removed.
+         *
+         * @method removeConnectors
+         *
+         * @param {object} from Node as stored in "grid".
+         * @param {object} to [Optional] Node as stored in "grid".
+         *
+         * @return {boolean} Whether any connector was removed.
+         */
+        removeConnectors = function removeConnectors(from, to) {
+
+            var link,
+                removed = false,
+                i;
+
+            for (i = connectors.length; i--;) {
+                link = connectors[i];
+
+                if (to ? link.from === from && link.to === to :
+                        link.from === from || link.to === from) {
+                    c.remove(link.line);
+                    c.remove(link.head);
+
+                    if (link.tail) {
+                        c.remove(link.tail);
+                    }
+
+                    connectors.splice(i, 1);
+                    removed = true;
+                }
+            }
+
+            return removed;
+
+        },
+
+        /**
+         * Connects two Engaged nodes. If they are already connected in the
+         * same direction the existing connector is removed instead.
+         *
+         * @method connectNodes
+         *
+         * @param {object} from Engaged node from which the connector starts.
+         * @param {object} to Engaged node at which the connector ends.
+         * @param {object} cardinality [Optional] Cardinality of the ends of
+         *      the connector, kept in case it's a relationship (see
+         *      "connectors").
+         */
+        connectNodes = function connectNodes(from, to, cardinality) {
+
+            var link;
+
+            if (from === to) {
+                return;
+            }
+
+            if (removeConnectors(from, to)) {
+                changed();
+
+                return;
+            }
+
+            link = {
+                from: from,
+                to: to
+            };
+
+            if (cardinality) {
+                link.cardinality = cardinality;
+            }
+
+            drawConnector(link);
+            connectors.push(link);
+
+            changed();
+
+        },
+
+        /**
+         * Tells whether the given node is an entity of an entity-relationship
+         * diagram, which may have attributes.
+         *
+         * @method isEntity
+         *
+         * @param {object} n Node as stored in "grid".
+         *
+         * @return {boolean}
+         */
+        isEntity = function isEntity(n) {
+
+            return n.type === "engaged" && /^er:/.test(n.element || "");
+
+        },
+
+        /**
+         * Returns the connector going from one node to another, if any.
+         *
+         * @method findConnector
+         *
+         * @param {object} from Node as stored in "grid".
+         * @param {object} to Node as stored in "grid".
+         *
+         * @return {object} Entry of the "connectors" array, or undefined.
+         */
+        findConnector = function findConnector(from, to) {
+
+            var i;
+
+            for (i = connectors.length; i--;) {
+                if (connectors[i].from === from && connectors[i].to === to) {
+                    return connectors[i];
+                }
+            }
+
+        },
+
+        /**
+         * Returns a function that measures the width of text, as required by
+         * U.text.fit, by writing it into the given <text/> element.
+         *
+         * @method measurer
+         *
+         * @param {object} element <text/> element.
+         *
+         * @return {function}
+         */
+        measurer = function measurer(element) {
+
+            return function measure(content, size) {
+
+                c.adjust(element, {
+                    text: content,
+                    "font-size": size
+                });
+
+                return element.width;
+
+            };
+
+        },
+
+        /**
+         * Draws the label of the given Engaged node centred inside its shape,
+         * replacing any label drawn previously.
+         *
+         * @method drawLabel
+         *
+         * @param {object} n Node as stored in "grid".
+         */
+        drawLabel = function drawLabel(n) {
+
+            var point,
+                fitted;
+
+            if (n.text) {
+                c.remove(n.text);
+                delete n.text;
+            }
+
+            if (isEntity(n) && n.attributes && n.attributes.length) {
+                drawAttributes(n);
+
+                return;
+            }
+
+            if (!n.label) {
+                return;
+            }
+
+            point = centreOf(n);
+
+            n.text = c.create("text", {
+                text: "",
+                x: point[0],
+                y: point[1],
+                fill: palette.text,
+                "font-family": text.font
+            });
+
+            fitted = text.fit(n.label, text.area(n.shape, sizeOf(n)),
+                    measurer(n.text));
+
+            c.adjust(n.text, {
+                text: fitted.lines.join("\n"),
+                "font-size": fitted.size
+            });
+
+            // Let clicks through to the shape underneath
+            $(n.text.node).css("pointer-events", "none");
+
+        },
+
+        /**
+         * Draws the label of the given Engaged node as a title above its
+         * attributes, divided from them by a line across the shape (see
+         * U.text.compartments). Called by "drawLabel".
+         *
+         * @method drawAttributes
+         *
+         * @param {object} n Node as stored in "grid".
+         */
+        drawAttributes = function drawAttributes(n) {
+
+            var point = centreOf(n),
+                box = {
+                    x: point[0] - n.shape.width / 2,
+                    y: point[1] - n.shape.height / 2,
+                    width: n.shape.width,
+                    height: n.shape.height
+                },
+                title = c.create("text", {
+                    text: "",
+                    fill: palette.text,
+                    "font-family": text.font
+                }),
+                entries = c.create("text", {
+                    text: "",
+                    fill: palette.text,
+                    "font-family": text.font,
+                    "text-anchor": "start"
+                }),
+                laid = text.compartments(n.label, n.attributes, box,
+                        sizeOf(n), measurer(title)),
+                divider = c.create("path", {
+                    d: "M" + laid.divider.x1 + "," + laid.divider.y + "L" +
+                            laid.divider.x2 + "," + laid.divider.y,
+                    stroke: palette.stroke,
+                    "stroke-width": 2
+                });
+
+            c.adjust(title, {
+                text: laid.title.lines.join("\n"),
+                "font-size": laid.title.size,
+                x: laid.title.x,
+                y: laid.title.y
+            });
+
+            // Multiple lines are centred on "y" by the library
+            c.adjust(entries, {
+                text: laid.entries.lines.join("\n"),
+                "font-size": laid.entries.size,
+                x: laid.entries.x,
+                y: laid.entries.y + (laid.entries.lines.length - 1) / 2 *
+                        laid.entries.size * text.leading
+            });
+
+            n.text = c.group([title, divider, entries]);
+
+            // Let clicks through to the shape underneath
+            $([title.node, divider.node, entries.node]).css("pointer-events", "none");
+
+        },
+
+        /**
+         * Returns the canvas box of the container. Lanes stretch across the
+         * bounds of the grid, so that they grow along with it.
+         *
+         * @method frameOf
+         *
+         * @param {object} container Entry of the "containers" array.
+         *
+         * @return {object} Has the "x" and "y" of its top left corner, its
+         *      "width" and its "height".
+         */
+        frameOf = function frameOf(container) {
+
+            var rows = container.rows || [bound.north, -bound.south],
+                columns = container.columns || [-bound.west, bound.east],
+                northWest = locateNode(columns[0], rows[0]),
+                southEast = locateNode(columns[1], rows[1]),
+                margin = (pixel.object + pixel.space) / 2; // halfway across the gaps
+
+            return {
+                x: northWest[0] - margin,
+                y: northWest[1] - margin,
+                width: southEast[0] - northWest[0] + margin * 2,
+                height: southEast[1] - northWest[1] + margin * 2
+            };
+
+        },
+
+        /**
+         * Draws the container behind the nodes, replacing its previous
+         * drawing if there is one.
+         *
+         * @method drawContainer
+         *
+         * @param {object} container Entry of the "containers" array.
+         */
+        drawContainer = function drawContainer(container) {
+
+            var frame = frameOf(container),
+                box = c.create("rect", {
+                    x: frame.x,
+                    y: frame.y,
+                    width: frame.width,
+                    height: frame.height,
+                    stroke: palette.stroke,
+                    "stroke-width": 1,
+                    "stroke-dasharray": container.type === "group" ? "- " : "",
+                    fill: container.type === "lane" ? palette.stroke : "none",
+                    "fill-opacity": 0.04
+                }),
+                header = c.create("text", {
+                    text: "",
+                    x: frame.x + 6,
+                    y: frame.y + 10,
+                    fill: palette.text,
+                    "font-family": text.font,
+                    "font-size": 11,
+                    "text-anchor": "start",
+                    cursor: "pointer",
+                    title: "double click to rename"
+                });
+
+            if (container.drawing) {
+                c.remove(container.drawing);
+            }
+
+            c.adjust(header, {
+                text: container.label
+            });
+
+            // Behind the nodes, with the header in front of the box
+            c.lower(header);
+            c.lower(box);
+
+            // Let clicks through to the canvas underneath
+            $(box.node).css("pointer-events", "none");
+
+            $(header.node).dblclick(function () {
+
+                var label = prompt("Name of the " + container.type +
+                        " (leave empty to remove it)", container.label);
+
+                if (label !== null) {
+                    labelContainer(container.id, $.trim(label));
+                }
+
+            });
+
+            container.drawing = c.group([box, header]);
+
+        },
+
+        /**
+         * Redraws every container, eg. after the bounds of the grid have
+         * changed. Lanes are kept behind groups.
+         *
+         * @method drawContainers
+         */
+        drawContainers = function drawContainers() {
+
+            var i;
+
+            for (i = containers.length; i--;) {
+                if (containers[i].type === "group") {
+                    drawContainer(containers[i]);
+                }
+            }
+
+            for (i = containers.length; i--;) {
+                if (containers[i].type === "lane") {
+                    drawContainer(containers[i]);
+                }
+            }
+
+        },
+
+        /**
+         * Records on every Engaged node the lane and group its North-West
+         * cell lies in (see "grid"). Where containers overlap the one made
+         * first is recorded.
+         *
+         * @method assignContainers
+         */
+        assignContainers = function assignContainers() {
+
+            var n,
+                container,
+                i,
+                j;
+
+            for (i = node.length; i--;) {
+                n = node[i];
+
+                delete n.lane;
+                delete n.group;
+
+                for (j = 0; j < containers.length && n.type === "engaged"; j += 1) {
+                    container = containers[j];
+
+                    if (!n[container.type] &&
+                            (!container.rows || (n.y <= container.rows[0] &&
+                            n.y >= container.rows[1])) &&
+                            (!container.columns || (n.x >= container.columns[0] &&
+                            n.x <= container.columns[1]))) {
+                        n[container.type] = container.id;
+                    }
+                }
+            }
+
+        },
+
+        /**
+         * Reads a container definition, such as those saved in documents.
+         *
+         * @method readContainer
+         *
+         * @param {object} definition Has the "type", "label", "rows" and
+         *      "columns" of the container as described for "containers", and
+         *      optionally its "id".
+         *
+         * @return {object} The container, not yet drawn, with its ranges
+         *      ordered North to South and West to East.
+         *
+         * @throws {Error} If the definition isn't valid.
+         */
+        readContainer = function readContainer(definition) {
+
+            var container = {
+                    id: definition.id,
+                    type: definition.type,
+                    label: typeof definition.label === "string" ? definition.label : ""
+                },
+                range = function range(values) {
+
+                    if (values === undefined) {
+                        return undefined;
+                    }
+
+                    if (!$.isArray(values) || values.length !== 2 ||
+                            values[0] % 1 !== 0 || values[1] % 1 !== 0) {
+                        throw new Error("Containers range over two whole grid coordinates");
+                    }
+
+                    return [Math.min(values[0], values[1]),
+                            Math.max(values[0], values[1])];
+
+                };
+
+            if (container.type !== "lane" && container.type !== "group") {
+                throw new Error("Containers are either lanes or groups");
+            }
+
+            container.rows = range(definition.rows);
+            container.columns = range(definition.columns);
+
+            if (container.rows) {
+                container.rows.reverse(); // North is positive
+            } else {
+                delete container.rows;
+            }
+
+            if (!container.columns) {
+                delete container.columns;
+            }
+
+            if (container.type === "lane" ? !container.rows === !container.columns :
+                    !container.rows || !container.columns) {
+                throw new Error(container.type === "lane" ?
+                        "Lanes range over either rows or columns" :
+                        "Groups range over both rows and columns");
+            }
+
+            return container;
+
+        },
+
+        /**
+         * Takes the container off the canvas and out of the "containers"
+         * array.
+         *
+         * @method dropContainer
+         *
+         * @param {object} container Entry of the "containers" array.
+         */
+        dropContainer = function dropContainer(container) {
+
+            c.remove(container.drawing);
+            delete container.drawing;
+
+            containers.splice($.inArray(container, containers), 1);
+
+        },
+
+        /**
+         * Returns the snapshots kept in local storage, newest first. Each
+         * snapshot stores:
+         *  - time: when it was taken, in milliseconds since the epoch
+         *  - diagram: the document returned by "save"
+         *
+         * @method readSnapshots
+         *
+         * @return {array} Empty if local storage is unavailable or corrupt.
+         */
+        readSnapshots = function readSnapshots() {
+
+            var list;
+
+            try {
+                list = JSON.parse(window.localStorage.getItem(autosave.key));
+            } catch (error) {
+                list = null;
+            }
+
+            return $.isArray(list) ? list : [];
+
+        },
+
+        /**
+         * Saves a snapshot of the diagram to local storage unless it's the
+         * same as the latest snapshot.
+         *
+         * @method takeSnapshot
+         */
+        takeSnapshot = function takeSnapshot() {
+
+            var list = readSnapshots(),
+                diagram = save();
+
+            autosave.timer = null;
+
+            if (list.length &&
+                    JSON.stringify(list[0].diagram) === JSON.stringify(diagram)) {
+                return;
+            }
+
+            list.unshift({
+                time: new Date().getTime(),
+                diagram: diagram
+            });
+
+            try {
+                window.localStorage.setItem(autosave.key,
+                        JSON.stringify(list.slice(0, autosave.limit)));
+            } catch (error) {
+                // Storage is full or disabled; the diagram itself is unaffected
+            }
+
+        },
+
+        /**
+         * Records that the diagram has changed, scheduling a snapshot.
+         *
+         * @method changed
+         */
+        changed = function changed() {
+
+            clearTimeout(autosave.timer);
+
+            autosave.timer = setTimeout(takeSnapshot, autosave.delay);
+
+            assignContainers(); // nodes may have moved into other lanes
+
+            refreshMinimap();
+
+        },
+
+        /**
+         * Returns the times at which the snapshots kept in local storage were
+         * taken, newest first. The index of a time is the index to pass to
+         * "restore".
+         *
+         * @method snapshots
+         *
+         * @return {array} Times in milliseconds since the epoch.
+         */
+        snapshots = function snapshots() {
+
+            var list = readSnapshots(),
+                times = [],
+                i;
+
+            for (i = 0; i < list.length; i += 1) {
+                times.push(list[i].time);
+            }
+
+            return times;
+
+        },
+
+        /**
+         * Replaces the diagram with a snapshot kept in local storage.
+         *
+         * @method restore
+         *
+         * @param {integer} index [Optional] Index of the snapshot as returned
+         *      by "snapshots". Defaults to the latest snapshot.
+         *
+         * @return {boolean} Whether the snapshot was found and loaded.
+         */
+        restore = function restore(index) {
+
+            var snapshot = readSnapshots()[index || 0];
+
+            if (!snapshot) {
+                return false;
+            }
+
+            try {
+                load(snapshot.diagram);
+            } catch (error) {
+                clear();
+                createSingleNode(0, 0);
+
+                return false;
+            }
+
+            return true;
+
+        },
+
+        /**
+         * Expands the bound to take in the cell at the given grid coordinates
+         * if it's beyond it, resizing the canvas.
+         *
+         * @method extendBound
+         *
+         * @param {integer} x
+         * @param {integer} y
+         */
+        extendBound = function extendBound(x, y) {
+
+            if (grid[x] === undefined) {
+                grid[x] = []; // referencing grid[x][y] throws error if grid[x] is undefined
+            }
+
+            if (y > bound.north) {
+                adjustBound("north", y - bound.north);
+            }
+            if (x > bound.east) {
+                adjustBound("east", x - bound.east);
+            }
+            if (y < -bound.south) {
+                adjustBound("south", -y - bound.south);
+            }
+            if (x < -bound.west) {
+                adjustBound("west", -x - bound.west);
+            }
+
+        },
+
+        /**
+         * Takes the node out of the "node" array, giving its place to the
+         * last node.
+         *
+         * @method forget
+         *
+         * @param {object} n Node as stored in "grid".
+         */
+        forget = function forget(n) {
+
+            var l = node.length;
+
+            node[l - 1].id = n.id;
+            node[n.id] = node[l - 1];
+            node.pop();
+
+        },
+
+        /**
+         * Takes the Engaged node off the canvas and the grid, leaving the
+         * cells it spanned empty. Its connectors are left as they are.
+         *
+         * @method vacate
+         *
+         * @param {object} n Engaged node as stored in "grid".
+         *
+         * @return {array} Grid coordinates (0 = x, 1 = y) of the cells it
+         *      spanned and of those around them, to be settled (see
+         *      "settle").
+         */
+        vacate = function vacate(n) {
+
+            var span = spanOf(n),
+                cells = coveredCells(n.x, n.y, span),
+                i;
+
+            c.remove(n.shape);
+
+            if (n.text) {
+                c.remove(n.text);
+            }
+
+            forget(n);
+
+            for (i = cells.length; i--;) {
+                grid[cells[i][0]][cells[i][1]] = undefined;
+            }
+
+            return cells.concat(borderCells(n.x, n.y, span));
+
+        },
+
+        /**
+         * Brings the given cells in line with the Engaged nodes around them:
+         * Single nodes are created in empty cells next to an Engaged node and
+         * floating Single nodes, next to none, are removed.
+         *
+         * @method settle
+         *
+         * @param {array} cells Grid coordinates (0 = x, 1 = y).
+         */
+        settle = function settle(cells) {
+
+            var x,
+                y,
+                n,
+                held, // whether an Engaged node is above, right, below or left of the cell
+                i;
+
+            for (i = 0; i < cells.length; i += 1) {
+                x = cells[i][0];
+                y = cells[i][1];
+                n = grid[x] && grid[x][y];
+                held = isEngaged(x, y + 1) || isEngaged(x + 1, y) ||
+                        isEngaged(x, y - 1) || isEngaged(x - 1, y);
+
+                if (!n && held) {
+                    createSingleNode(x, y);
+                } else if (n && n.type === "single" && !held) {
+                    c.remove(n.shape);
+                    forget(n);
+
+                    grid[x][y] = undefined;
+                }
+            }
+
+        },
+
+        /**
+         * Creates a new blank node.
+         *
+         * @method createNode
+         *
+         * @param {integer} x Grid x coordinate of the new node.
+         * @param {integer} y Grid y coordinate of the new node.
+         */
+        createSingleNode = function (x, y) {
+
+            if (grid[x] === undefined) {
+                grid[x] = []; // referencing grid[x][y] throws error if grid[x] is undefined
+            }
+
+            if (grid[x][y] === undefined) {
+                var pixel = [],
+                    newNode = {};
+
+                // If node is beyond current bound, expand bound and resize canvas
+                extendBound(x, y);
+
+                pixel = locateNode(x, y); // must be done only after bounds are adjusted
+
+                newNode = {
+                    x: x,
+                    y: y,
+                    id: node.length,
+                    type: "single",
+                    shape: c.create("circle", {
+                        cx: pixel[0],
+                        cy: pixel[1],
+                        r: 0,
+                        fill: palette.dot,
+                        stroke: "none",
+                        cursor: "pointer"
+                    })
+                };
+
+                grid[x][y] = newNode;
+                node.push(newNode);
+
+                // Make Single node "pop" onto screen
+                c.animate(newNode.shape, {r: 10.5}, 110).
+                        animate(newNode.shape, {r: 6.5}, 140).animate();
+
+                $(newNode.shape.node).click(function () {
+
+                    openPicker(grid[x][y]);
+
+                });
+
+
+                return newNode;
+            }
+
+        },
+
+        /**
+         * Draws a flowcharting shape for the given node.
+         *
+         * @method engageNode
+         *
+         * @param {integer} x Grid x coordinate of node for which to draw shape.
+         * @param {integer} y Grid y coordiante of node for which to draw shape.
+         * @param {string} pathData SVG Path Data of the shape to draw
+         *      (http://www.w3.org/TR/2003/REC-SVG11-20030114/paths.html#PathData)
+         *      in normalised units (see the SHAPES section at the top of this
+         *      file).
+         * @param {string} element [Optional] The type of element the shape
+         *      stands for (see U.Shapes).
+         *
+         * @throws {Error} If any other cell the node spans holds an Engaged
+         *      node, in which case nothing is changed.
+         */
+        createEngagedNode = function (x, y, pathData, element) {
+
+            var selectedNode = grid[x][y],
+                span = spanOf(selectedNode),
+                cells = coveredCells(x, y, span),
+                selectedNodeElement,
+                occupant,
+                body = $("body"),
+                i;
+
+            if (!fits(x, y, span, [selectedNode])) {
+                throw new Error("There's no room for the node here");
+            }
+
+            selectedNode.shapePath = pathData;
+            selectedNode.element = element;
+
+            // Take the rest of the cells spanned, clearing the Single nodes off them
+            for (i = 1; i < cells.length; i += 1) {
+                extendBound(cells[i][0], cells[i][1]);
+
+                occupant = grid[cells[i][0]][cells[i][1]];
+
+                if (occupant && occupant !== selectedNode) {
+                    c.remove(occupant.shape);
+                    forget(occupant);
+                }
+
+                grid[cells[i][0]][cells[i][1]] = selectedNode;
+            }
+
+            c.remove(selectedNode.shape);
+
+            selectedNode.shape = c.create("path", {
+                d: shapeData(selectedNode),
+                "stroke-width": 2,
+                cursor: "pointer"
+            });
+
+            paint(selectedNode);
+
+            selectedNodeElement = $(selectedNode.shape.node);
+
+            selectedNodeElement.dblclick(function () {
+
+                state.activate("label", {
+                    node: grid[x][y]
+                });
+
+            });
+
+            selectedNodeElement.mousedown(function (e) {
+
+                startDrag(grid[x][y], e);
+
+            });
+
+            selectedNodeElement.click(function (e) {
+
+                if (drag.suppress) {
+                    return;
+                }
+
+                if (connecting) {
+                    toggleConnector(connecting, grid[x][y]);
+
+                    state.deactivate();
+
+                    return;
+                }
+
+                if (e.shiftKey) {
+                    toggleSelection(grid[x][y]);
+
+                    return;
+                }
+
+                // The menu of a selected node acts upon the whole selection
+                state.activate("menu", {
+                    master: $.inArray(grid[x][y], selection) === -1 ?
+                            undefined : "selection",
+                    node: grid[x][y]
+                });
+
+            });
+
+            selectedNode.type = "engaged";
+
+            drawLabel(selectedNode); // label has to be drawn on top of the new shape
+
+            // Connectors meet the sides of the shape, which may have changed
+            redrawConnectors();
+
+            cells = borderCells(x, y, span);
+
+            for (i = 0; i < cells.length; i += 1) {
+                createSingleNode(cells[i][0], cells[i][1]);
+            }
+
+            changed();
+
+            return selectedNode;
+
+        },
+
+        /**
+         * Removes the node and amends the remaining nodes by removing any
+         * floating Single nodes. Can only be called on Engaged nodes.
+         *
+         * @method deleteNode
+         *
+         * @param {integer} x The x coordinate of the node to be removed.
+         * @param {integer} y The y coordinate of the node to be removed.
+         */
+        deleteNode = function deleteNode(x, y) {
+
+            var deletedNode = grid[x][y],
+                i;
+
+            removeConnectors(deletedNode);
+
+            settle(vacate(deletedNode));
+
+            for (i = node.length; i--;) {
+                if (node[i].type === "engaged") {
+                    break;
+                }
+            }
+
+            if (i === -1) { // don't ever let the last Single node be removed
+                createSingleNode(x, y);
+            }
+
+            adjustBound();
+
+            changed();
+
+        },
+
+        /**
+         * Puts an Engaged node taken off the grid by "vacate" back on it in
+         * another cell, along with its label. Its connectors are left to be
+         * handed over to the node returned.
+         *
+         * @method placeNode
+         *
+         * @param {object} moved Engaged node as it was stored in "grid".
+         * @param {integer} toX Grid x coordinate of an empty or Single cell.
+         * @param {integer} toY Grid y coordinate of an empty or Single cell.
+         *
+         * @return {object} The Engaged node as stored in "grid".
+         */
+        placeNode = function placeNode(moved, toX, toY) {
+
+            var target;
+
+            createSingleNode(toX, toY); // only created if the cell is empty
+
+            target = grid[toX][toY];
+            target.label = moved.label;
+            target.attributes = moved.attributes;
+            target.style = moved.style;
+            target.span = moved.span;
+
+            return createEngagedNode(toX, toY, moved.shapePath, moved.element);
+
+        },
+
+        /**
+         * Returns the nodes of a document (or clipboard) of an earlier version
+         * as they would be in the current version. Version 1 shapes were in
+         * pixels of the default 89 pixel node size rather than in normalised
+         * units.
+         *
+         * @method upgrade
+         *
+         * @param {array} entries The "nodes" of the document.
+         * @param {integer} from The version of the document.
+         *
+         * @return {array} Copies of the entries, upgraded.
+         */
+        upgrade = function upgrade(entries, from) {
+
+            var result = [],
+                entry,
+                i;
+
+            for (i = 0; i < entries.length; i += 1) {
+                entry = $.extend({}, entries[i]);
+
+                if (from < 2 && entry.shapePath) {
+                    entry.shapePath = path.transform(entry.shapePath, 1 / 89, 0, 0);
+                }
+
+                result.push(entry);
+            }
+
+            return result;
+
+        },
+
+        /**
+         * Removes every node and connector and resets the grid and bounds,
+         * leaving an empty canvas.
+         *
+         * @method clear
+         */
+        clear = function clear() {
+
+            var i;
+
+            state.deactivate();
+
+            for (i = connectors.length; i--;) {
+                c.remove(connectors[i].line);
+                c.remove(connectors[i].head);
+
+                if (connectors[i].tail) {
+                    c.remove(connectors[i].tail);
+                }
+            }
+
+            for (i = node.length; i--;) {
+                c.remove(node[i].shape);
+
+                if (node[i].text) {
+                    c.remove(node[i].text);
+                }
+            }
+
+            for (i = containers.length; i--;) {
+                c.remove(containers[i].drawing);
+            }
+
+            connectors = [];
+            node = [];
+            grid = [];
+            containers = [];
+
+            commands.done = [];
+            commands.undone = [];
+
+            bound.north = bound.east = bound.south = bound.west = 0;
+
+            resizeCanvas();
+
+        },
+
+        /**
+         * Returns the diagram as a document in the format described at the top
+         * of this class.
+         *
+         * @method save
+         *
+         * @return {object}
+         */
+        save = function save() {
+
+            var diagram = {
+                    format: "untangly",
+                    version: version,
+                    nodes: [],
+                    connectors: []
+                },
+                entry,
+                i;
+
+            if (containers.length) {
+                diagram.containers = [];
+
+                for (i = 0; i < containers.length; i += 1) {
+                    entry = {
+                        id: containers[i].id,
+                        type: containers[i].type,
+                        label: containers[i].label
+                    };
+
+                    if (containers[i].rows) {
+                        entry.rows = containers[i].rows.slice();
+                    }
+
+                    if (containers[i].columns) {
+                        entry.columns = containers[i].columns.slice();
+                    }
+
+                    diagram.containers.push(entry);
+                }
+            }
+
+            for (i = 0; i < node.length; i += 1) {
+                entry = {
+                    x: node[i].x,
+                    y: node[i].y,
+                    type: node[i].type
+                };
+
+                if (node[i].type === "engaged") {
+                    entry.shapePath = node[i].shapePath;
+
+                    if (node[i].element) {
+                        entry.element = node[i].element;
+                    }
+
+                    if (node[i].label) {
+                        entry.label = node[i].label;
+                    }
+
+                    if (isEntity(node[i]) && node[i].attributes &&
+                            node[i].attributes.length) {
+                        entry.attributes = node[i].attributes.slice();
+                    }
+
+                    if (node[i].style) {
+                        entry.style = $.extend({}, node[i].style);
+                    }
+
+                    if (node[i].span) {
+                        entry.span = $.extend({}, node[i].span);
+                    }
+
+                    if (node[i].lane) {
+                        entry.lane = node[i].lane;
+                    }
+
+                    if (node[i].group) {
+                        entry.group = node[i].group;
+                    }
+                }
+
+                diagram.nodes.push(entry);
+            }
+
+            for (i = 0; i < connectors.length; i += 1) {
+                entry = {
+                    from: [connectors[i].from.x, connectors[i].from.y],
+                    to: [connectors[i].to.x, connectors[i].to.y]
+                };
+
+                if (connectors[i].cardinality) {
+                    entry.cardinality = $.extend({}, connectors[i].cardinality);
+                }
+
+                diagram.connectors.push(entry);
+            }
+
+            return diagram;
+
+        },
+
+        /**
+         * Checks an entry of the "nodes" of a document (see the top of this
+         * class) before anything is drawn from it, so that a diagram that
+         * can't be read in full isn't loaded at all. Single nodes aren't
+         * checked as they're regenerated rather than read.
+         *
+         * @method checkNode
+         *
+         * @param {object} entry
+         *
+         * @throws {Error} If the entry isn't valid.
+         */
+        checkNode = function checkNode(entry) {
+
+            var where,
+                style = entry && entry.style,
+                span = entry && entry.span,
+                segments,
+                i;
+
+            if (!entry || typeof entry !== "object") {
+                throw new Error("Not an Untang.ly diagram");
+            }
+
+            if (entry.type !== "engaged") {
+                return;
+            }
+
+            if (typeof entry.x !== "number" || entry.x % 1 !== 0 ||
+                    typeof entry.y !== "number" || entry.y % 1 !== 0) {
+                throw new Error("Nodes are placed on whole grid coordinates");
+            }
+
+            where = "The node at (" + entry.x + ", " + entry.y + ") ";
+
+            segments = typeof entry.shapePath === "string" ?
+                    path.parse(entry.shapePath) : [];
+
+            if (!segments.length || segments[0][0].toUpperCase() !== "M") {
+                throw new Error(where + "has no path data");
+            }
+
+            if ((entry.label !== undefined && typeof entry.label !== "string") ||
+                    (entry.element !== undefined && typeof entry.element !== "string")) {
+                throw new Error(where + "has a label or element that isn't text");
+            }
+
+            if (entry.attributes !== undefined) {
+                if (!$.isArray(entry.attributes)) {
+                    throw new Error(where + "has attributes that aren't a list");
+                }
+
+                for (i = 0; i < entry.attributes.length; i += 1) {
+                    if (typeof entry.attributes[i] !== "string") {
+                        throw new Error(where + "has attributes that aren't text");
+                    }
+                }
+            }
+
+            if (style !== undefined && (!style || typeof style !== "object" ||
+                    $.isArray(style) ||
+                    (style.fill !== undefined && typeof style.fill !== "string") ||
+                    (style.stroke !== undefined && typeof style.stroke !== "string") ||
+                    (style.line !== undefined && !dashes.hasOwnProperty(style.line)) ||
+                    (style.opacity !== undefined && !(typeof style.opacity === "number" &&
+                    style.opacity >= 0 && style.opacity <= 1)))) {
+                throw new Error(where + "has a style that can't be drawn");
+            }
+
+            if (span !== undefined && !(span && typeof span.columns === "number" &&
+                    span.columns >= 1 && span.columns % 1 === 0 &&
+                    typeof span.rows === "number" && span.rows >= 1 &&
+                    span.rows % 1 === 0)) {
+                throw new Error(where + "must span whole numbers of cells");
+            }
+
+        },
+
+        /**
+         * Checks an entry of the "connectors" of a document (see the top of
+         * this class), as "checkNode" does nodes.
+         *
+         * @method checkConnector
+         *
+         * @param {object} entry
+         *
+         * @throws {Error} If the entry isn't valid.
+         */
+        checkConnector = function checkConnector(entry) {
+
+            var end = function end(cell) {
+
+                    return $.isArray(cell) && cell.length === 2 &&
+                            typeof cell[0] === "number" && cell[0] % 1 === 0 &&
+                            typeof cell[1] === "number" && cell[1] % 1 === 0;
+
+                },
+                cardinality = entry && entry.cardinality;
+
+            if (!entry || !end(entry.from) || !end(entry.to)) {
+                throw new Error("Connectors run between two whole grid coordinates");
+            }
+
+            if (cardinality !== undefined && !(cardinality &&
+                    (cardinality.from === undefined ||
+                    $.inArray(cardinality.from, connector.cardinalities) !== -1) &&
+                    (cardinality.to === undefined ||
+                    $.inArray(cardinality.to, connector.cardinalities) !== -1))) {
+                throw new Error("Connectors have cardinalities of " +
+                        connector.cardinalities.join(", "));
+            }
+
+        },
+
+        /**
+         * Replaces the diagram with the one described by the given document
+         * (see the top of this class for the format).
+         *
+         * Single nodes are regenerated around the Engaged nodes rather than
+         * read from the document so that no floating Single nodes are left
+         * behind.
+         *
+         * @method load
+         *
+         * @param {object} diagram As returned by "save".
+         *
+         * @throws {Error} If the document isn't a valid diagram, in which case
+         *      the diagram shown is left as it is.
+         */
+        load = function load(diagram) {
+
+            var nodes,
+                links,
+                boxes = [], // the containers
+                taken = {}, // the cells of the Engaged nodes, as "x,y" keys set to true
+                covered,
+                from,
+                to,
+                engaged = 0,
+                i,
+                j;
+
+            if (!diagram || diagram.format !== "untangly" ||
+                    !$.isArray(diagram.nodes)) {
+                throw new Error("Not an Untang.ly diagram");
+            }
+
+            if (diagram.version > version) {
+                throw new Error("Diagram was saved by a newer version of Untang.ly");
+            }
+
+            nodes = upgrade(diagram.nodes, diagram.version || 1);
+            links = diagram.connectors || [];
+
+            // Everything is checked before the diagram is cleared
+            for (i = 0; i < nodes.length; i += 1) {
+                checkNode(nodes[i]);
+
+                if (nodes[i].type === "engaged") {
+                    covered = coveredCells(nodes[i].x, nodes[i].y, spanOf(nodes[i]));
+
+                    for (j = 0; j < covered.length; j += 1) {
+                        if (taken.hasOwnProperty(covered[j].join(","))) {
+                            throw new Error("Nodes overlap at (" +
+                                    covered[j].join(", ") + ")");
+                        }
+
+                        taken[covered[j].join(",")] = true;
+                    }
+                }
+            }
+
+            if (!$.isArray(links)) {
+                throw new Error("Not an Untang.ly diagram");
+            }
+
+            for (i = 0; i < links.length; i += 1) {
+                checkConnector(links[i]);
+            }
+
+            for (i = 0; i < (diagram.containers || []).length; i += 1) {
+                boxes.push(readContainer(diagram.containers[i] || {}));
+            }
+
+            clear();
+
+            // Drawn first so that the nodes record the containers they're in
+            for (i = 0; i < boxes.length; i += 1) {
+                if (!(boxes[i].id > 0 && boxes[i].id % 1 === 0)) {
+                    boxes[i].id = lastContainer + 1;
+                }
+
+                lastContainer = Math.max(lastContainer, boxes[i].id);
+            }
+
+            containers = boxes;
+            drawContainers();
+
+            for (i = 0; i < nodes.length; i += 1) {
+                if (nodes[i].type === "engaged") {
+                    createSingleNode(nodes[i].x, nodes[i].y);
+
+                    grid[nodes[i].x][nodes[i].y].label = nodes[i].label; // drawn as the node is engaged
+                    grid[nodes[i].x][nodes[i].y].attributes = nodes[i].attributes;
+                    grid[nodes[i].x][nodes[i].y].style = nodes[i].style;
+                    grid[nodes[i].x][nodes[i].y].span = nodes[i].span;
+
+                    createEngagedNode(nodes[i].x, nodes[i].y, nodes[i].shapePath,
+                            nodes[i].element);
+
+                    engaged += 1;
+                }
+            }
+
+            if (!engaged) {
+                createSingleNode(0, 0);
+            }
+
+            for (i = 0; i < links.length; i += 1) {
+                from = grid[links[i].from[0]] && grid[links[i].from[0]][links[i].from[1]];
+                to = grid[links[i].to[0]] && grid[links[i].to[0]][links[i].to[1]];
+
+                if (from && to && from.type === "engaged" &&
+                        to.type === "engaged") {
+                    connectNodes(from, to, links[i].cardinality);
+                }
+            }
+
+            adjustBound();
+
+        },
+
+        /**
+         * Replaces the diagram with a flowchart written in Mermaid's syntax,
+         * laid out on the grid in layers from the nodes no link leads to (see
+         * U.mermaid).
+         *
+         * @method importMermaid
+         *
+         * @param {string} source The flowchart.
+         *
+         * @throws {Error} If the flowchart can't be read.
+         */
+        importMermaid = function importMermaid(source) {
+
+            var graph = mermaid.parse(source),
+                cells = mermaid.layout(graph),
+                diagram = {
+                    format: "untangly",
+                    version: version,
+                    nodes: [],
+                    connectors: []
+                },
+                entry,
+                shape,
+                i;
+
+            for (i = 0; i < graph.nodes.length; i += 1) {
+                shape = catalogue.find("Basic", graph.nodes[i].shape);
+
+                if (!shape) {
+                    throw new Error("There's no \"" + graph.nodes[i].shape +
+                            "\" shape to draw the flowchart with");
+                }
+
+                entry = {
+                    x: cells[i][0],
+                    y: cells[i][1],
+                    type: "engaged",
+                    shapePath: shape.path,
+                    label: graph.nodes[i].label
+                };
+
+                if (shape.element) {
+                    entry.element = shape.element;
+                }
+
+                diagram.nodes.push(entry);
+            }
+
+            for (i = 0; i < graph.links.length; i += 1) {
+                if (!graph.links[i].hidden) {
+                    diagram.connectors.push({
+                        from: cells[graph.links[i].from],
+                        to: cells[graph.links[i].to]
+                    });
+                }
+            }
+
+            load(diagram); // engages each node as if it were saved
+
+        },
+
+        /**
+         * Returns the diagram as a standalone SVG document (see
+         * U.exporter.svg).
+         *
+         * @method exportSVG
+         *
+         * @return {string}
+         */
+        exportSVG = function exportSVG() {
+
+            var probe = c.create("text", { // measures labels as they're drawn on the canvas
+                    text: "",
+                    x: -pixel.object,
+                    y: -pixel.object,
+                    "font-family": text.font
+                }),
+                output = exporter.svg(save(), {
+                    object: pixel.object,
+                    space: pixel.space,
+                    theme: palette,
+                    measure: measurer(probe)
+                });
+
+            c.remove(probe);
+
+            return output;
+
+        },
+
+        /**
+         * Returns the diagram as a PNG image (see U.exporter.png).
+         *
+         * @method exportPNG
+         *
+         * @param {object} options [Optional] As for U.exporter.png.
+         *
+         * @return {string} The image as a "data:image/png" URL.
+         */
+        exportPNG = function exportPNG(options) {
+
+            return exporter.png(save(), $.extend({
+                object: pixel.object,
+                space: pixel.space,
+                theme: palette
+            }, options));
+
+        },
+
+        /**
+         * Performs a command and records it so that it can be undone.
+         *
+         * @method perform
+         *
+         * @param {object} command Implements the following interface:
+         *  function execute();
+         *  function undo(); // reverses the effect of "execute"
+         */
+        perform = function perform(command) {
+
+            command.execute();
+
+            commands.done.push(command);
+            commands.undone = [];
+
+        },
+
+        /**
+         * Reverses the latest command performed or redone.
+         *
+         * @method undo
+         */
+        undo = function undo() {
+
+            var command = commands.done.pop();
+
+            if (command) {
+                state.deactivate(); // UI elements may refer to nodes that are about to change
+
+                command.undo();
+
+                commands.undone.push(command);
+            }
+
+        },
+
+        /**
+         * Performs the latest command undone again.
+         *
+         * @method redo
+         */
+        redo = function redo() {
+
+            var command = commands.undone.pop();
+
+            if (command) {
+                state.deactivate();
+
+                command.execute();
+
+                commands.done.push(command);
+            }
+
+        },
+
+        /**
+         * Returns what's needed to restore the given Engaged nodes after
+         * they've been deleted.
+         *
+         * @method describeNodes
+         *
+         * @param {array} list Engaged nodes as stored in "grid".
+         *
+         * @return {object} Has the "nodes", each with its grid coordinates,
+         *      "shapePath", "element", "label", "attributes", "style" and
+         *      "span", and the "connectors" attached to them
+         *      as arrays of the grid coordinates of their ends.
+         */
+        describeNodes = function describeNodes(list) {
+
+            var description = {
+                    nodes: [],
+                    connectors: []
+                },
+                link,
+                i;
+
+            for (i = 0; i < list.length; i += 1) {
+                description.nodes.push({
+                    x: list[i].x,
+                    y: list[i].y,
+                    shapePath: list[i].shapePath,
+                    element: list[i].element,
+                    label: list[i].label,
+                    attributes: list[i].attributes,
+                    style: list[i].style,
+                    span: list[i].span
+                });
+            }
+
+            for (i = 0; i < connectors.length; i += 1) {
+                link = connectors[i];
+
+                if ($.inArray(link.from, list) !== -1 ||
+                        $.inArray(link.to, list) !== -1) {
+                    description.connectors.push([link.from.x, link.from.y,
+                            link.to.x, link.to.y, link.cardinality]);
+                }
+            }
+
+            return description;
+
+        },
+
+        /**
+         * Recreates deleted Engaged nodes, including their labels and
+         * connectors. The Single nodes that were removed along with them are
+         * regenerated as the nodes are engaged.
+         *
+         * @method restoreNodes
+         *
+         * @param {object} description As returned by "describeNodes".
+         */
+        restoreNodes = function restoreNodes(description) {
+
+            var n,
+                link,
+                i;
+
+            for (i = 0; i < description.nodes.length; i += 1) {
+                n = description.nodes[i];
+
+                createSingleNode(n.x, n.y); // only created if the Single node was removed as well
+
+                grid[n.x][n.y].label = n.label;
+                grid[n.x][n.y].attributes = n.attributes;
+                grid[n.x][n.y].style = n.style;
+                grid[n.x][n.y].span = n.span;
+
+                createEngagedNode(n.x, n.y, n.shapePath, n.element);
+            }
+
+            // Connectors between the restored nodes need both ends in place
+            for (i = 0; i < description.connectors.length; i += 1) {
+                link = description.connectors[i];
+
+                connectNodes(grid[link[0]][link[1]], grid[link[2]][link[3]], link[4]);
+            }
+
+        },
+
+        /**
+         * Engages the nodes in the given cells with the given shape, or
+         * changes the shape of those that are already Engaged, as an undoable
+         * command.
+         *
+         * @method engageNodes
+         *
+         * @param {array} cells Grid coordinates (0 = x, 1 = y) of the nodes.
+         * @param {string} pathData
+         * @param {string} element [Optional] The type of element the shape
+         *      stands for (see U.Shapes).
+         */
+        engageNodes = function engageNodes(cells, pathData, element) {
+
+            var previous = [],
+                elements = [], // of the previous shapes
+                attributes = [], // of the previous shapes
+                n,
+                i;
+
+            for (i = 0; i < cells.length; i += 1) {
+                n = grid[cells[i][0]][cells[i][1]];
+
+                previous.push(n.type === "engaged" ? n.shapePath : null);
+                elements.push(n.element);
+                attributes.push(n.attributes);
+            }
+
+            perform({
+                execute: function execute() {
+
+                    var i;
+
+                    for (i = 0; i < cells.length; i += 1) {
+                        // Only entities have attributes, which can't be edited on other shapes
+                        if (!/^er:/.test(element || "")) {
+                            grid[cells[i][0]][cells[i][1]].attributes = undefined;
+                        }
+
+                        createEngagedNode(cells[i][0], cells[i][1], pathData, element);
+                    }
+
+                },
+                undo: function undo() {
+
+                    var i;
+
+                    for (i = cells.length; i--;) {
+                        if (previous[i]) {
+                            grid[cells[i][0]][cells[i][1]].attributes = attributes[i];
+
+                            createEngagedNode(cells[i][0], cells[i][1], previous[i],
+                                    elements[i]);
+                        } else {
+                            deleteNode(cells[i][0], cells[i][1]);
+                        }
+                    }
+
+                }
+            });
+
+        },
+
+        /**
+         * Deletes the Engaged nodes in the given cells as an undoable command.
+         *
+         * @method removeNodes
+         *
+         * @param {array} cells Grid coordinates (0 = x, 1 = y) of the nodes.
+         */
+        removeNodes = function removeNodes(cells) {
+
+            var list = [],
+                description,
+                i;
+
+            for (i = 0; i < cells.length; i += 1) {
+                list.push(grid[cells[i][0]][cells[i][1]]);
+            }
+
+            description = describeNodes(list);
+
+            perform({
+                execute: function execute() {
+
+                    var i;
+
+                    for (i = 0; i < cells.length; i += 1) {
+                        deleteNode(cells[i][0], cells[i][1]);
+                    }
+
+                },
+                undo: function undo() {
+
+                    restoreNodes(description);
+
+                }
+            });
+
+        },
+
+        /**
+         * Connects two Engaged nodes, or removes the connector between them,
+         * as an undoable command (see "connectNodes").
+         *
+         * @method toggleConnector
+         *
+         * @param {object} from Engaged node as stored in "grid".
+         * @param {object} to Engaged node as stored in "grid".
+         */
+        toggleConnector = function toggleConnector(from, to) {
+
+            var x1 = from.x,
+                y1 = from.y,
+                x2 = to.x,
+                y2 = to.y,
+                cardinality, // kept while the connector is removed
+                toggle = function toggle() {
+
+                    var link = findConnector(grid[x1][y1], grid[x2][y2]);
+
+                    if (link) {
+                        cardinality = link.cardinality;
+                    }
+
+                    connectNodes(grid[x1][y1], grid[x2][y2], cardinality);
+
+                };
+
+            if (from !== to) {
+                perform({
+                    execute: toggle,
+                    undo: toggle
+                });
+            }
+
+        },
+
+        /**
+         * Changes the label of an Engaged node as an undoable command.
+         *
+         * @method labelNode
+         *
+         * @param {object} n Engaged node as stored in "grid".
+         * @param {string} label
+         */
+        labelNode = function labelNode(n, label) {
+
+            var x = n.x,
+                y = n.y,
+                previous = n.label || "",
+                write = function write(text) {
+
+                    grid[x][y].label = text;
+
+                    drawLabel(grid[x][y]);
+
+                    changed();
+
+                };
+
+            if (label === previous) {
+                return;
+            }
+
+            perform({
+                execute: function execute() {
+
+                    write(label);
+
+                },
+                undo: function undo() {
+
+                    write(previous);
+
+                }
+            });
+
+        },
+
+        /**
+         * Changes the attributes of an Engaged node as an undoable command.
+         *
+         * @method attributeNode
+         *
+         * @param {object} n Engaged node as stored in "grid".
+         * @param {array} attributes Strings, one for each attribute.
+         */
+        attributeNode = function attributeNode(n, attributes) {
+
+            var x = n.x,
+                y = n.y,
+                previous = n.attributes || [],
+                write = function write(list) {
+
+                    grid[x][y].attributes = list;
+
+                    drawLabel(grid[x][y]);
+
+                    changed();
+
+                };
+
+            if (attributes.join("\n") === previous.join("\n")) {
+                return;
+            }
+
+            perform({
+                execute: function execute() {
+
+                    write(attributes);
+
+                },
+                undo: function undo() {
+
+                    write(previous);
+
+                }
+            });
+
+        },
+
+        /**
+         * Changes the style of the Engaged nodes in the given cells as an
+         * undoable command.
+         *
+         * @method styleNodes
+         *
+         * @param {array} cells Grid coordinates (0 = x, 1 = y) of the nodes.
+         * @param {object} style The parts of the style to change (see
+         *      "grid"), or null to draw the nodes as default again.
+         */
+        styleNodes = function styleNodes(cells, style) {
+
+            var previous = [],
+                i;
+
+            for (i = 0; i < cells.length; i += 1) {
+                previous.push(grid[cells[i][0]][cells[i][1]].style);
+            }
+
+            perform({
+                execute: function execute() {
+
+                    var n,
+                        i;
+
+                    for (i = 0; i < cells.length; i += 1) {
+                        n = grid[cells[i][0]][cells[i][1]];
+
+                        n.style = style ? $.extend({}, n.style, style) : undefined;
+
+                        paint(n);
+                    }
+
+                    changed();
+
+                },
+                undo: function undo() {
+
+                    var n,
+                        i;
+
+                    for (i = 0; i < cells.length; i += 1) {
+                        n = grid[cells[i][0]][cells[i][1]];
+
+                        n.style = previous[i];
+
+                        paint(n);
+                    }
+
+                    changed();
+
+                }
+            });
+
+        },
+
+        /**
+         * Changes the number of cells the Engaged node spans, keeping its
+         * North-West cell. Single nodes are generated around the new span and
+         * those left floating around the old one are removed.
+         *
+         * @method resizeNode
+         *
+         * @param {integer} x Grid x coordinate of the Engaged node.
+         * @param {integer} y Grid y coordinate of the Engaged node.
+         * @param {object} span The "columns" and "rows" to span; its cells
+         *      mustn't hold other Engaged nodes.
+         */
+        resizeNode = function resizeNode(x, y, span) {
+
+            var n = grid[x][y],
+                previous = spanOf(n),
+                cells = coveredCells(x, y, previous),
+                i;
+
+            for (i = 1; i < cells.length; i += 1) { // the North-West cell stays taken
+                grid[cells[i][0]][cells[i][1]] = undefined;
+            }
+
+            n.span = span.columns === 1 && span.rows === 1 ? undefined : {
+                columns: span.columns,
+                rows: span.rows
+            };
+
+            createEngagedNode(x, y, n.shapePath, n.element);
+
+            settle(cells.concat(borderCells(x, y, previous)));
+
+            adjustBound();
+
+        },
+
+        /**
+         * Changes the number of cells spanned by the Engaged nodes in the
+         * given cells (see "resizeNode") as an undoable command.
+         *
+         * @method spanNodes
+         *
+         * @param {array} cells Grid coordinates (0 = x, 1 = y) of the nodes.
+         * @param {object} span The number of "columns" and "rows" to span.
+         *
+         * @throws {Error} If the span isn't whole numbers of cells or any of
+         *      the nodes would span a cell taken by another Engaged node, in
+         *      which case none are changed.
+         */
+        spanNodes = function spanNodes(cells, span) {
+
+            var previous = [],
+                taken = {}, // the cells of the new spans, as "x,y" keys set to true
+                covered,
+                n,
+                i,
+                j;
+
+            if (!(span.columns >= 1 && span.columns % 1 === 0 &&
+                    span.rows >= 1 && span.rows % 1 === 0)) {
+                throw new Error("Nodes must span whole numbers of cells");
+            }
+
+            for (i = 0; i < cells.length; i += 1) {
+                n = grid[cells[i][0]][cells[i][1]];
+                covered = coveredCells(n.x, n.y, span);
+
+                if (!fits(n.x, n.y, span, [n])) {
+                    throw new Error("There's no room to resize the node here");
+                }
+
+                // Nor may the nodes resized overlap each other
+                for (j = 0; j < covered.length; j += 1) {
+                    if (taken.hasOwnProperty(covered[j].join(","))) {
+                        throw new Error("There's no room to resize the nodes here");
+                    }
+
+                    taken[covered[j].join(",")] = true;
+                }
+
+                previous.push(spanOf(n));
+            }
+
+            perform({
+                execute: function execute() {
+
+                    var i;
+
+                    for (i = 0; i < cells.length; i += 1) {
+                        resizeNode(cells[i][0], cells[i][1], span);
+                    }
+
+                },
+                undo: function undo() {
+
+                    var i;
+
+                    for (i = cells.length; i--;) {
+                        resizeNode(cells[i][0], cells[i][1], previous[i]);
+                    }
+
+                }
+            });
+
+        },
+
+        /**
+         * Adds a lane or group behind the nodes as an undoable command.
+         *
+         * @method addContainer
+         *
+         * @param {object} definition As for "readContainer". Any "id" is
+         *      replaced by a new one.
+         *
+         * @return {integer} The id of the container.
+         *
+         * @throws {Error} If the definition isn't valid.
+         */
+        addContainer = function addContainer(definition) {
+
+            var container = readContainer(definition || {});
+
+            lastContainer += 1;
+            container.id = lastContainer;
+
+            perform({
+                execute: function execute() {
+
+                    containers.push(container);
+
+                    drawContainers(); // keeps lanes behind groups
+
+                    changed();
+
+                },
+                undo: function undo() {
+
+                    dropContainer(container);
+
+                    changed();
+
+                }
+            });
+
+            return container.id;
+
+        },
+
+        /**
+         * Renames the container, or removes it if the label is empty, as an
+         * undoable command.
+         *
+         * @method labelContainer
+         *
+         * @param {integer} id Id of the container.
+         * @param {string} label
+         */
+        labelContainer = function labelContainer(id, label) {
+
+            var container,
+                previous,
+                index;
+
+            perform({
+                execute: function execute() {
+
+                    for (index = 0; index < containers.length; index += 1) {
+                        if (containers[index].id === id) {
+                            break;
+                        }
+                    }
+
+                    container = containers[index];
+                    previous = container.label;
+
+                    if (label) {
+                        container.label = label;
+
+                        drawContainers(); // keeps lanes behind groups
+                    } else {
+                        dropContainer(container);
+                    }
+
+                    changed();
+
+                },
+                undo: function undo() {
+
+                    if (label) {
+                        container.label = previous;
+
+                        drawContainers();
+                    } else {
+                        containers.splice(index, 0, container);
+
+                        drawContainers();
+                    }
+
+                    changed();
+
+                }
+            });
+
+        },
+
+        /**
+         * Changes the cardinality of one end of a relationship to the next of
+         * U.connector.cardinalities, as an undoable command.
+         *
+         * @method cycleCardinality
+         *
+         * @param {object} link Entry of the "connectors" array.
+         * @param {string} end Either "from" or "to".
+         */
+        cycleCardinality = function cycleCardinality(link, end) {
+
+            var x1 = link.from.x,
+                y1 = link.from.y,
+                x2 = link.to.x,
+                y2 = link.to.y,
+                list = connector.cardinalities,
+                previous = (link.cardinality || {})[end] || connector.defaults[end],
+                next = list[($.inArray(previous, list) + 1) % list.length],
+                write = function write(cardinality) {
+
+                    var found = findConnector(grid[x1][y1], grid[x2][y2]);
+
+                    found.cardinality = $.extend({}, found.cardinality);
+                    found.cardinality[end] = cardinality;
+
+                    drawConnector(found);
+
+                    changed();
+
+                };
+
+            perform({
+                execute: function execute() {
+
+                    write(next);
+
+                },
+                undo: function undo() {
+
+                    write(previous);
+
+                }
+            });
+
+        },
+
+        /**
+         * Moves the Engaged nodes in the given cells, along with their labels
+         * and connectors, by the same number of cells. Every node is taken off
+         * the grid before any is put back so that no node is moved onto one
+         * that's yet to move. Single nodes are generated around the new
+         * locations and those left floating at the old locations are removed
+         * as "deleteNode" does.
+         *
+         * @method shiftNodes
+         *
+         * @param {array} cells Grid coordinates (0 = x, 1 = y) of the nodes.
+         * @param {integer} dx Number of cells to move East (West if negative).
+         * @param {integer} dy Number of cells to move North (South if negative).
+         *
+         * @throws {Error} If any of the nodes would land on an Engaged node
+         *      that isn't moving, in which case no node is moved.
+         */
+        shiftNodes = function shiftNodes(cells, dx, dy) {
+
+            var moving = [],
+                placed = [],
+                vacated = [], // settled once every node is in its new place
+                all = connectors,
+                link,
+                i;
+
+            for (i = 0; i < cells.length; i += 1) {
+                moving.push(grid[cells[i][0]][cells[i][1]]);
+            }
+
+            if (!canDrop(moving, dx, dy)) {
+                throw new Error("There's no room to move the nodes here");
+            }
+
+            // The connectors of the nodes moving can't be drawn until both ends are in place
+            connectors = $.grep(all, function (link) {
+
+                return $.inArray(link.from, moving) === -1 &&
+                        $.inArray(link.to, moving) === -1;
+
+            });
+
+            for (i = 0; i < moving.length; i += 1) {
+                vacated = vacated.concat(vacate(moving[i]));
+            }
+
+            for (i = 0; i < moving.length; i += 1) {
+                placed.push(placeNode(moving[i], moving[i].x + dx,
+                        moving[i].y + dy));
+            }
+
+            // Hand the connectors over to the nodes in their new places
+            for (i = 0; i < all.length; i += 1) {
+                link = all[i];
+
+                if ($.inArray(link.from, moving) !== -1) {
+                    link.from = placed[$.inArray(link.from, moving)];
+                }
+                if ($.inArray(link.to, moving) !== -1) {
+                    link.to = placed[$.inArray(link.to, moving)];
+                }
+            }
+
+            connectors = all;
+
+            settle(vacated);
+
+            adjustBound();
+
+            redrawConnectors();
+
+        },
+
+        /**
+         * Moves the Engaged nodes in the given cells by the same number of
+         * cells as an undoable command (see "shiftNodes").
+         *
+         * @method relocateNodes
+         *
+         * @param {array} cells Grid coordinates (0 = x, 1 = y) of the nodes.
+         * @param {integer} dx Number of cells to move East (West if negative).
+         * @param {integer} dy Number of cells to move North (South if negative).
+         */
+        relocateNodes = function relocateNodes(cells, dx, dy) {
+
+            var moved = [],
+                i;
+
+            for (i = 0; i < cells.length; i += 1) {
+                moved.push([cells[i][0] + dx, cells[i][1] + dy]);
+            }
+
+            perform({
+                execute: function execute() {
+
+                    shiftNodes(cells, dx, dy);
+
+                },
+                undo: function undo() {
+
+                    shiftNodes(moved, -dx, -dy);
+
+                }
+            });
+
+        },
+
+        /**
+         * Returns the grid coordinates of the given nodes.
+         *
+         * @method cellsOf
+         *
+         * @param {array} list Nodes as stored in "grid".
+         *
+         * @return {array} Grid coordinates (0 = x, 1 = y) of each node.
+         */
+        cellsOf = function cellsOf(list) {
+
+            var cells = [],
+                i;
+
+            for (i = 0; i < list.length; i += 1) {
+                cells.push([list[i].x, list[i].y]);
+            }
+
+            return cells;
+
+        },
+
+        /**
+         * Returns the nodes acted upon when the user acts upon the given
+         * Engaged node: the whole selection if the node is selected, or else
+         * the node alone.
+         *
+         * @method targetsOf
+         *
+         * @param {object} n Engaged node as stored in "grid".
+         *
+         * @return {array} Engaged nodes as stored in "grid".
+         */
+        targetsOf = function targetsOf(n) {
+
+            return $.inArray(n, selection) !== -1 ? selection.slice() : [n];
+
+        },
+
+        /**
+         * Adds the Engaged node to the selection, or takes it out if it's
+         * already selected, and shows the menu for the selected nodes.
+         *
+         * @method toggleSelection
+         *
+         * @param {object} n Engaged node as stored in "grid".
+         */
+        toggleSelection = function toggleSelection(n) {
+
+            var nodes = selection.slice(),
+                position = $.inArray(n, nodes);
+
+            if (position === -1) {
+                nodes.push(n);
+            } else {
+                nodes.splice(position, 1);
+            }
+
+            if (!nodes.length) {
+                state.deactivate();
+
+                return;
+            }
+
+            state.activate("selection", {
+                nodes: nodes
+            });
+
+            if (position === -1) {
+                state.activate("menu", {
+                    master: "selection",
+                    node: n
+                });
+            }
+
+        },
+
+        /**
+         * Whether the given nodes can be moved by the same number of cells,
+         * that is, none of the cells they span would land on an Engaged node
+         * that isn't moving along with them.
+         *
+         * @method canDrop
+         *
+         * @param {array} nodes Engaged nodes as stored in "grid".
+         * @param {integer} dx Number of cells to move East (West if negative).
+         * @param {integer} dy Number of cells to move North (South if negative).
+         *
+         * @return {boolean}
+         */
+        canDrop = function canDrop(nodes, dx, dy) {
+
+            var i;
+
+            for (i = nodes.length; i--;) {
+                if (!fits(nodes[i].x + dx, nodes[i].y + dy, spanOf(nodes[i]), nodes)) {
+                    return false;
+                }
+            }
+
+            return true;
+
+        },
+
+        /**
+         * Follows the mouse while a node is dragged, outlining the cells onto
+         * which it will be dropped.
+         *
+         * @method dragMove
+         *
+         * @param {object} e jQuery event object.
+         */
+        dragMove = function dragMove(e) {
+
+            var span = spanOf(drag.node),
+                size = sizeOf(drag.node),
+                width = (size[0] + 20) * c.scale, // outlines leave 10 pixels around the node
+                height = (size[1] + 20) * c.scale,
+                border = outline.outerWidth() - outline.width(), // of both sides
+                offset,
+                point;
+
+            if (!drag.moved) {
+                // Small movements of a click aren't a drag
+                if (Math.abs(e.pageX - drag.x) + Math.abs(e.pageY - drag.y) < 5) {
+                    return;
+                }
+
+                drag.moved = true;
+
+                state.deactivate();
+            }
+
+            drag.target = locateCell(e.pageX, e.pageY);
+
+            offset = $(c.element).offset();
+            point = locateNode(drag.target[0] + (span.columns - 1) / 2,
+                    drag.target[1] - (span.rows - 1) / 2);
+
+            outline.css({
+                display: "block",
+                width: width + "px",
+                height: height + "px",
+                left: offset.left + point[0] * c.scale - (width + border) / 2 + "px",
+                top: offset.top + point[1] * c.scale - (height + border) / 2 + "px",
+                "border-color": canDrop(drag.nodes,
+                        drag.target[0] - drag.node.x,
+                        drag.target[1] - drag.node.y) ? "" : "#B22020" // refused
+            });
+
+        },
+
+        /**
+         * Drops the dragged node onto the outlined cell, moving the nodes
+         * dragged along with it by as many cells, unless any of them would
+         * land on another Engaged node.
+         *
+         * @method dragEnd
+         */
+        dragEnd = function dragEnd() {
+
+            var n = drag.node,
+                nodes = drag.nodes,
+                target = drag.target,
+                dx,
+                dy;
+
+            $(document).unbind(".drag");
+
+            outline.css("display", "none");
+
+            drag.node = null;
+            drag.nodes = [];
+            drag.target = null;
+
+            if (!drag.moved) {
+                return;
+            }
+
+            drag.suppress = true;
+            setTimeout(function () {
+
+                drag.suppress = false;
+
+            }, 0);
+
+            if (!target) {
+                return;
+            }
+
+            dx = target[0] - n.x;
+            dy = target[1] - n.y;
+
+            if ((dx || dy) && canDrop(nodes, dx, dy)) {
+                relocateNodes(cellsOf(nodes), dx, dy);
+            }
+
+        },
+
+        /**
+         * Starts dragging the given Engaged node, along with the rest of the
+         * selection if it's selected, when the mouse is pressed on it.
+         *
+         * @method startDrag
+         *
+         * @param {object} n Engaged node as stored in "grid".
+         * @param {object} e jQuery event object of the mousedown event.
+         */
+        startDrag = function startDrag(n, e) {
+
+            if (connecting || e.which !== 1 || pan.space) { // left button only, <space> pans
+                return;
+            }
+
+            e.preventDefault(); // don't select text while dragging
+
+            drag.node = n;
+            drag.nodes = targetsOf(n); // the selection is cleared as the drag starts
+            drag.x = e.pageX;
+            drag.y = e.pageY;
+            drag.moved = false;
+
+            $(document).bind("mousemove.drag", dragMove);
+            $(document).bind("mouseup.drag", dragEnd);
+
+        },
+
+        /**
+         * Stretches the selection rectangle to the mouse.
+         *
+         * @method bandMove
+         *
+         * @param {object} e jQuery event object.
+         */
+        bandMove = function bandMove(e) {
+
+            var offset = $(c.element).offset(),
+                x = (e.pageX - offset.left) / c.scale,
+                y = (e.pageY - offset.top) / c.scale;
+
+            if (!band.rect) {
+                // Small movements of a click aren't a drag
+                if (Math.abs(x - band.x) + Math.abs(y - band.y) < 5) {
+                    return;
+                }
+
+                band.rect = c.create("rect", {
+                    x: band.x,
+                    y: band.y,
+                    width: 0,
+                    height: 0,
+                    stroke: "#2088B2",
+                    "stroke-dasharray": "- ",
+                    fill: "#2088B2",
+                    "fill-opacity": 0.1
+                });
+            }
+
+            c.adjust(band.rect, {
+                x: Math.min(x, band.x),
+                y: Math.min(y, band.y),
+                width: Math.abs(x - band.x),
+                height: Math.abs(y - band.y)
+            });
+
+        },
+
+        /**
+         * Selects the Engaged nodes whose centres lie within the selection
+         * rectangle.
+         *
+         * @method bandEnd
+         */
+        bandEnd = function bandEnd() {
+
+            var rect = band.rect,
+                left,
+                top,
+                right,
+                bottom,
+                nodes,
+                point,
+                i;
+
+            $(document).unbind(".band");
+
+            band.rect = null;
+
+            if (!rect) {
+                return;
+            }
+
+            left = rect.attr("x");
+            top = rect.attr("y");
+            right = left + rect.attr("width");
+            bottom = top + rect.attr("height");
+
+            c.remove(rect);
+
+            nodes = band.add ? selection.slice() : [];
+
+            for (i = 0; i < node.length; i += 1) {
+                point = centreOf(node[i]);
+
+                if (node[i].type === "engaged" &&
+                        $.inArray(node[i], nodes) === -1 &&
+                        left <= point[0] && point[0] <= right &&
+                        top <= point[1] && point[1] <= bottom) {
+                    nodes.push(node[i]);
+                }
+            }
+
+            if (nodes.length) {
+                state.activate("selection", {
+                    nodes: nodes
+                });
+            }
+
+        },
+
+        /**
+         * Starts a selection rectangle when the mouse is pressed on the
+         * background of the canvas. Holding <shift> adds the nodes within it
+         * to the current selection.
+         *
+         * @method startBand
+         *
+         * @param {object} e jQuery event object of the mousedown event.
+         */
+        startBand = function startBand(e) {
+
+            var offset = $(c.element).offset();
+
+            if (e.target !== c.element || connecting || e.which !== 1 ||
+                    pan.space) {
+                return;
+            }
+
+            e.preventDefault(); // don't select text while dragging
+
+            band.x = (e.pageX - offset.left) / c.scale;
+            band.y = (e.pageY - offset.top) / c.scale;
+            band.add = e.shiftKey;
+            band.rect = null;
+
+            $(document).bind("mousemove.band", bandMove);
+            $(document).bind("mouseup.band", bandEnd);
+
+        },
+
+        /**
+         * Shows the shape previews for the given node, engaging it (or
+         * changing its shape) with the shape picked. An Engaged node's shape
+         * is changed along with those of the rest of the selection if it's
+         * selected.
+         *
+         * @method openPicker
+         *
+         * @param {object} n Node as stored in "grid".
+         */
+        openPicker = function openPicker(n) {
+
+            var cells = cellsOf(targetsOf(n)); // before the selection is cleared
+
+            state.activate("shapes", {
+                node: n,
+                scale: c.scale
+            });
+
+            Shapes.eventHandler = function (pathData, element) {
+
+                engageNodes(cells, pathData, element);
+
+            };
+
+        },
+
+        /**
+         * Outlines the cell the keyboard cursor is on, if the cursor is shown.
+         *
+         * @method placeCursor
+         */
+        placeCursor = function placeCursor() {
+
+            var offset,
+                point;
+
+            if (!cursor.shown) {
+                return;
+            }
+
+            offset = $(c.element).offset();
+            point = locateNode(cursor.x, cursor.y);
+
+            marker.css({
+                display: "block",
+                left: offset.left + point[0] * c.scale -
+                        marker.outerWidth() / 2 + "px",
+                top: offset.top + point[1] * c.scale -
+                        marker.outerHeight() / 2 + "px"
+            });
+
+        },
+
+        /**
+         * Moves the keyboard cursor by the given number of cells, keeping it
+         * within the bounds of the grid, and shows it if it's hidden.
+         *
+         * @method moveCursor
+         *
+         * @param {integer} dx Number of cells to move East (West if negative).
+         * @param {integer} dy Number of cells to move North (South if negative).
+         */
+        moveCursor = function moveCursor(dx, dy) {
+
+            state.deactivate();
+
+            // A hidden cursor is shown where it was before moving it
+            if (cursor.shown) {
+                cursor.x = Math.min(Math.max(cursor.x + dx, -bound.west),
+                        bound.east);
+                cursor.y = Math.min(Math.max(cursor.y + dy, -bound.south),
+                        bound.north);
+            }
+
+            cursor.shown = true;
+
+            placeCursor();
+
+        },
+
+        /**
+         * Hides the keyboard cursor.
+         *
+         * @method hideCursor
+         */
+        hideCursor = function hideCursor() {
+
+            cursor.shown = false;
+
+            marker.css("display", "none");
+
+        },
+
+        /**
+         * Shows the shape previews for the node the keyboard cursor is on.
+         *
+         * @method pickAtCursor
+         *
+         * @return {boolean} False if the cursor isn't on a node.
+         */
+        pickAtCursor = function pickAtCursor() {
+
+            var n = grid[cursor.x] && grid[cursor.x][cursor.y];
+
+            if (!cursor.shown || !n) {
+                return false;
+            }
+
+            openPicker(n);
+
+        },
+
+        /**
+         * Returns the selected nodes or, when none are selected, the Engaged
+         * node the keyboard cursor is on.
+         *
+         * @method targetsAtCursor
+         *
+         * @return {array} Engaged nodes as stored in "grid". Empty if there
+         *      are none.
+         */
+        targetsAtCursor = function targetsAtCursor() {
+
+            var n = grid[cursor.x] && grid[cursor.x][cursor.y];
+
+            if (selection.length) {
+                return selection.slice();
+            }
+
+            return cursor.shown && n && n.type === "engaged" ? [n] : [];
+
+        },
+
+        /**
+         * Deletes the selected nodes or, when none are selected, the Engaged
+         * node the keyboard cursor is on.
+         *
+         * @method removeAtCursor
+         *
+         * @return {boolean} False if there was nothing to delete.
+         */
+        removeAtCursor = function removeAtCursor() {
+
+            var list = targetsAtCursor();
+
+            if (!list.length) {
+                return false;
+            }
+
+            state.deactivate();
+
+            removeNodes(cellsOf(list));
+
+        },
+
+        /**
+         * Sizes the outlines marking cells to the size of the nodes as shown.
+         *
+         * @method sizeOutlines
+         */
+        sizeOutlines = function sizeOutlines() {
+
+            var size = (pixel.object + 20) * c.scale; // outlines leave 10 pixels around the node
+
+            outline.css({
+                width: size + "px",
+                height: size + "px"
+            });
+            marker.css({
+                width: size + "px",
+                height: size + "px"
+            });
+
+        },
+
+        /**
+         * Redraws every node, label and connector in its place on the canvas,
+         * as needed when the size of the nodes or of the space between them
+         * has changed.
+         *
+         * @method redrawNodes
+         */
+        redrawNodes = function redrawNodes() {
+
+            var point,
+                i;
+
+            for (i = node.length; i--;) {
+                if (node[i].type === "engaged") {
+                    c.adjust(node[i].shape, {
+                        d: shapeData(node[i])
+                    });
+
+                    drawLabel(node[i]); // refitted to the new size
+                } else {
+                    point = locateNode(node[i].x, node[i].y);
+
+                    c.adjust(node[i].shape, {
+                        cx: point[0],
+                        cy: point[1]
+                    });
+                }
+            }
+
+            redrawConnectors();
+
+        },
+
+        /**
+         * Changes the size of the nodes and of the space between them (see
+         * the CANVAS section at the top of this file), redrawing the diagram.
+         *
+         * @method configure
+         *
+         * @param {object} settings [Optional] May set the "object" and "space"
+         *      pixel values, within the "sizes" allowed.
+         *
+         * @return {object} The "object" and "space" pixel values in use.
+         *
+         * @throws {Error} If a value is outside the sizes allowed.
+         */
+        configure = function configure(settings) {
+
+            var object,
+                space;
+
+            if (settings) {
+                object = settings.object === undefined ? pixel.object :
+                        +settings.object;
+                space = settings.space === undefined ? pixel.space :
+                        +settings.space;
+
+                if (!(object >= sizes.object[0] && object <= sizes.object[1]) ||
+                        !(space >= sizes.space[0] && space <= sizes.space[1])) {
+                    throw new Error("Nodes must be " + sizes.object.join(" to ") +
+                            " pixels in size and " + sizes.space.join(" to ") +
+                            " pixels apart");
+                }
+
+                state.deactivate(); // overlays are positioned for the previous size
+
+                pixel.object = object;
+                pixel.space = space;
+
+                resizeCanvas();
+                redrawNodes();
+                sizeOutlines();
+                placeCursor();
+            }
+
+            return {
+                object: pixel.object,
+                space: pixel.space
+            };
+
+        },
+
+        /**
+         * Adds a theme that the diagram can be drawn in (see "themes"),
+         * replacing any theme of the same name. Colours it doesn't set are
+         * taken from the light theme.
+         *
+         * @method defineTheme
+         *
+         * @param {object|string} definition The theme or its JSON.
+         *
+         * @return {string} The name of the theme.
+         *
+         * @throws {Error} If the theme has no name or any of its colours
+         *      isn't text.
+         */
+        defineTheme = function defineTheme(definition) {
+
+            var key;
+
+            if (typeof definition === "string") {
+                definition = JSON.parse(definition);
+            }
+
+            if (!definition || typeof definition.name !== "string" ||
+                    !definition.name) {
+                throw new Error("Theme has no name");
+            }
+
+            for (key in definition) {
+                if (definition.hasOwnProperty(key) &&
+                        typeof definition[key] !== "string") {
+                    throw new Error("Theme colours are written as text, eg. \"#ffffff\"");
+                }
+            }
+
+            themes[definition.name] = $.extend({}, themes.light, definition);
+
+            if (palette && palette.name === definition.name) {
+                useTheme(definition.name);
+            }
+
+            return definition.name;
+
+        },
+
+        /**
+         * Draws the diagram and the overlays over it in the given theme (see
+         * "themes"), recolouring every node.
+         *
+         * @method useTheme
+         *
+         * @param {string} name [Optional] Name of the theme. If omitted the
+         *      theme isn't changed.
+         *
+         * @return {string} The name of the theme in use.
+         *
+         * @throws {Error} If there's no theme of that name.
+         */
+        useTheme = function useTheme(name) {
+
+            var overlays = $("#menu, #style_editor, #size_editor, #shape_previews"),
+                i;
+
+            if (name === undefined) {
+                return palette.name;
+            }
+
+            if (!themes.hasOwnProperty(name)) {
+                throw new Error("There's no theme named \"" + name + "\"");
+            }
+
+            palette = themes[name];
+
+            $("body").css("background", palette.background);
+            overlays.css({
+                background: palette.overlay || "",
+                color: palette.overlayText || ""
+            });
+            $("#menu a, #style_editor a").css("color", palette.overlayText || "");
+
+            Shapes.colour(palette);
+
+            for (i = node.length; i--;) {
+                if (node[i].type === "engaged") {
+                    paint(node[i]);
+                    drawLabel(node[i]);
+                } else {
+                    c.adjust(node[i].shape, {
+                        fill: palette.dot
+                    });
+                }
+            }
+
+            redrawConnectors();
+            drawContainers();
+
+            return palette.name;
+
+        },
+
+        /**
+         * Magnifies the canvas by the given factor, keeping the canvas
+         * location at the given page location where it is on the screen.
+         *
+         * @method zoomTo
+         *
+         * @param {number} scale Kept within the "zoom" range.
+         * @param {number} left [Optional] Page x coordinate. Defaults to the
+         *      middle of the window.
+         * @param {number} top [Optional] Page y coordinate. Defaults to the
+         *      middle of the window.
+         */
+        zoomTo = function zoomTo(scale, left, top) {
+
+            var win = $(window),
+                offset = $(c.element).offset(),
+                x,
+                y;
+
+            scale = Math.max(zoom.min, Math.min(zoom.max, scale));
+
+            if (left === undefined) {
+                left = win.scrollLeft() + win.width() / 2;
+                top = win.scrollTop() + win.height() / 2;
+            }
+
+            // Canvas location under the page location
+            x = (left - offset.left) / c.scale;
+            y = (top - offset.top) / c.scale;
+
+            state.deactivate(); // overlays are positioned for the previous scale
+
+            c.zoom(scale);
+
+            sizeOutlines();
+
+            offset = $(c.element).offset();
+            window.scrollBy(offset.left + x * scale - left,
+                    offset.top + y * scale - top);
+
+            placeCursor();
+            placeView();
+
+        },
+
+        /**
+         * Shows the canvas at its actual size or, if it doesn't fit in the
+         * window, shrinks it until it does.
+         *
+         * @method fit
+         */
+        fit = function fit() {
+
+            var win = $(window);
+
+            zoomTo(Math.min(1, win.width() / c.width, win.height() / c.height));
+
+            window.scrollTo(0, 0);
+
+        },
+
+        /**
+         * Zooms in or out as the mouse wheel is turned while <ctrl> is held
+         * down, which is also how browsers report pinching on a touchpad.
+         *
+         * @method wheelZoom
+         *
+         * @param {object} e jQuery event object of the wheel event.
+         */
+        wheelZoom = function wheelZoom(e) {
+
+            var delta = e.originalEvent.deltaY;
+
+            if (!e.ctrlKey || !delta) {
+                return;
+            }
+
+            e.preventDefault(); // don't zoom the page itself
+
+            if (e.originalEvent.deltaMode === 1) { // lines rather than pixels
+                delta *= 16;
+            }
+
+            zoomTo(c.scale * Math.pow(1.002, -delta), e.pageX, e.pageY);
+
+        },
+
+        /**
+         * Scrolls the page as the mouse is moved while panning.
+         *
+         * @method panMove
+         *
+         * @param {object} e jQuery event object.
+         */
+        panMove = function panMove(e) {
+
+            window.scrollBy(pan.x - e.clientX, pan.y - e.clientY);
+
+            pan.x = e.clientX;
+            pan.y = e.clientY;
+
+        },
+
+        /**
+         * Stops panning.
+         *
+         * @method panEnd
+         */
+        panEnd = function panEnd() {
+
+            $(document).unbind(".pan");
+
+        },
+
+        /**
+         * Starts panning when the canvas is pressed with the middle mouse
+         * button, or the left one while <space> is held down.
+         *
+         * @method startPan
+         *
+         * @param {object} e jQuery event object of the mousedown event.
+         */
+        startPan = function startPan(e) {
+
+            if (!(e.which === 2 || e.which === 1 && pan.space)) {
+                return;
+            }
+
+            e.preventDefault(); // no autoscroll or text selection
+
+            pan.x = e.clientX;
+            pan.y = e.clientY;
+
+            $(document).bind("mousemove.pan", panMove);
+            $(document).bind("mouseup.pan", panEnd);
+
+        },
+
+        /**
+         * Moves the rectangle on the minimap to the part of the canvas shown
+         * in the window, and hides the minimap when the whole canvas is shown.
+         *
+         * @method placeView
+         */
+        placeView = function placeView() {
+
+            var win = $(window),
+                offset = $(c.element).offset(),
+                scale = minimap.scale / c.scale, // from page to minimap
+                left = Math.max(0, win.scrollLeft() - offset.left) * scale,
+                top = Math.max(0, win.scrollTop() - offset.top) * scale;
+
+            if (!minimap.view) { // not drawn yet
+                return;
+            }
+
+            minimap.DOM.css("display", c.width * c.scale > win.width() ||
+                    c.height * c.scale > win.height() ? "block" : "none");
+
+            minimap.canvas.adjust(minimap.view, {
+                x: left,
+                y: top,
+                width: Math.min(minimap.canvas.width - left,
+                        win.width() * scale),
+                height: Math.min(minimap.canvas.height - top,
+                        win.height() * scale)
+            });
+
+        },
+
+        /**
+         * Draws every node onto the minimap, scaled down to fit.
+         *
+         * @method drawMinimap
+         */
+        drawMinimap = function drawMinimap() {
+
+            var m = minimap.canvas,
+                scale = Math.min(minimap.width / c.width,
+                        minimap.height / c.height),
+                point,
+                size,
+                i;
+
+            minimap.timer = null;
+            minimap.scale = scale;
+
+            m.clear();
+            m.adjust({
+                width: c.width * scale,
+                height: c.height * scale
+            });
+
+            for (i = node.length; i--;) {
+                point = centreOf(node[i]);
+
+                if (node[i].type === "engaged") {
+                    size = sizeOf(node[i]);
+
+                    m.create("rect", {
+                        x: (point[0] - size[0] / 2) * scale,
+                        y: (point[1] - size[1] / 2) * scale,
+                        width: size[0] * scale,
+                        height: size[1] * scale,
+                        fill: "#222",
+                        stroke: "none"
+                    });
+                } else {
+                    m.create("circle", {
+                        cx: point[0] * scale,
+                        cy: point[1] * scale,
+                        r: 1,
+                        fill: "#999",
+                        stroke: "none"
+                    });
+                }
+            }
+
+            minimap.view = m.create("rect", {
+                x: 0,
+                y: 0,
+                width: 0,
+                height: 0,
+                stroke: "#2088B2",
+                "stroke-width": 2,
+                fill: "#2088B2",
+                "fill-opacity": 0.1
+            });
+
+            placeView();
+
+        },
+
+        /**
+         * Schedules the minimap to be redrawn once the current changes to the
+         * diagram are done.
+         *
+         * @method refreshMinimap
+         */
+        refreshMinimap = function refreshMinimap() {
+
+            if (!minimap.timer) {
+                minimap.timer = setTimeout(drawMinimap, 0);
+            }
+
+        },
+
+        /**
+         * Scrolls the window so that the canvas location under the mouse on
+         * the minimap is in the middle of the window.
+         *
+         * @method minimapMove
+         *
+         * @param {object} e jQuery event object.
+         */
+        minimapMove = function minimapMove(e) {
+
+            var win = $(window),
+                offset = $(c.element).offset(),
+                location = $(minimap.canvas.element).offset(),
+                x = (e.pageX - location.left) / minimap.scale,
+                y = (e.pageY - location.top) / minimap.scale;
+
+            e.preventDefault(); // don't select text while dragging
+
+            window.scrollTo(offset.left + x * c.scale - win.width() / 2,
+                    offset.top + y * c.scale - win.height() / 2);
+
+        },
+
+        /**
+         * Returns the given Engaged nodes, their labels and the connectors
+         * between them in the clipboard format described at the top of this
+         * class.
+         *
+         * @method copyNodes
+         *
+         * @param {array} list Engaged nodes as stored in "grid".
+         *
+         * @return {object}
+         */
+        copyNodes = function copyNodes(list) {
+
+            var clip = {
+                    format: "untangly-clipboard",
+                    version: version,
+                    nodes: [],
+                    connectors: []
+                },
+                west = list[0].x,
+                north = list[0].y,
+                entry,
+                link,
+                i;
+
+            for (i = list.length; i--;) {
+                west = Math.min(west, list[i].x);
+                north = Math.max(north, list[i].y);
+            }
+
+            for (i = 0; i < list.length; i += 1) {
+                entry = {
+                    x: list[i].x - west,
+                    y: list[i].y - north,
+                    shapePath: list[i].shapePath
+                };
+
+                if (list[i].element) {
+                    entry.element = list[i].element;
+                }
+
+                if (list[i].label) {
+                    entry.label = list[i].label;
+                }
+
+                if (isEntity(list[i]) && list[i].attributes &&
+                        list[i].attributes.length) {
+                    entry.attributes = list[i].attributes.slice();
+                }
+
+                if (list[i].style) {
+                    entry.style = $.extend({}, list[i].style);
+                }
+
+                if (list[i].span) {
+                    entry.span = $.extend({}, list[i].span);
+                }
+
+                clip.nodes.push(entry);
+            }
+
+            for (i = 0; i < connectors.length; i += 1) {
+                link = connectors[i];
+
+                if ($.inArray(link.from, list) !== -1 &&
+                        $.inArray(link.to, list) !== -1) {
+                    entry = {
+                        from: [link.from.x - west, link.from.y - north],
+                        to: [link.to.x - west, link.to.y - north]
+                    };
+
+                    if (link.cardinality) {
+                        entry.cardinality = $.extend({}, link.cardinality);
+                    }
+
+                    clip.connectors.push(entry);
+                }
+            }
+
+            return clip;
+
+        },
+
+        /**
+         * Pastes the nodes copied to the clipboard with their North-West
+         * corner on the cell at the given grid coordinates, as an undoable
+         * command. The Single nodes around them are created as they're
+         * engaged.
+         *
+         * @method pasteNodes
+         *
+         * @param {object} clip In the clipboard format described at the top of
+         *      this class.
+         * @param {integer} x
+         * @param {integer} y
+         *
+         * @throws {Error} If the clipboard isn't in the clipboard format or
+         *      any of the nodes would land on an Engaged node.
+         */
+        pasteNodes = function pasteNodes(clip, x, y) {
+
+            var description = {
+                    nodes: [],
+                    connectors: []
+                },
+                cells = [],
+                taken = {}, // the cells of the nodes pasted, as "x,y" keys set to true
+                covered,
+                entries,
+                n,
+                link,
+                i,
+                j;
+
+            if (!clip || clip.format !== "untangly-clipboard" ||
+                    !$.isArray(clip.nodes) || clip.version > version) {
+                throw new Error("Not Untang.ly nodes");
+            }
+
+            entries = upgrade(clip.nodes, clip.version || 1);
+
+            for (i = 0; i < entries.length; i += 1) {
+                n = {
+                    x: x + entries[i].x,
+                    y: y + entries[i].y,
+                    type: "engaged",
+                    shapePath: entries[i].shapePath,
+                    element: entries[i].element,
+                    label: entries[i].label,
+                    attributes: entries[i].attributes,
+                    style: entries[i].style,
+                    span: entries[i].span
+                };
+
+                checkNode(n);
+
+                covered = coveredCells(n.x, n.y, spanOf(n));
+
+                for (j = 0; j < covered.length; j += 1) {
+                    if (taken.hasOwnProperty(covered[j].join(","))) {
+                        throw new Error("Nodes overlap at (" +
+                                covered[j].join(", ") + ")");
+                    }
+
+                    taken[covered[j].join(",")] = true;
+                }
+
+                if (!fits(n.x, n.y, spanOf(n), [])) {
+                    throw new Error("There's no room to paste the nodes here");
+                }
+
+                description.nodes.push(n);
+                cells.push([n.x, n.y]);
+            }
+
+            for (i = 0; i < (clip.connectors || []).length; i += 1) {
+                link = clip.connectors[i];
+
+                checkConnector(link);
+
+                description.connectors.push([x + link.from[0], y + link.from[1],
+                        x + link.to[0], y + link.to[1], link.cardinality]);
+            }
+
+            perform({
+                execute: function execute() {
+
+                    restoreNodes(description);
+
+                },
+                undo: function undo() {
+
+                    var i;
+
+                    for (i = cells.length; i--;) {
+                        deleteNode(cells[i][0], cells[i][1]);
+                    }
+
+                }
+            });
+
+        };
+
+    // End var
+
+
+    // Initialisation procedures
+    resizeCanvas();
+
+    // Initialisation proceedures
+    setTimeout(function () {
+        var latest = readSnapshots()[0];
+
+        // Offer to pick up where the user left off
+        if (latest && confirm("Restore the diagram you were working on at " +
+                new Date(latest.time).toLocaleString() + "?") && restore()) {
+            return;
+        }
+
+        createSingleNode(0, 0); // start program
+    }, 300);
+
+    state.shortcut("ctrl+z", undo);
+    state.shortcut("ctrl+shift+z", redo);
+    state.shortcut("ctrl+y", redo);
+
+    $(c.element).mousedown(startBand);
+
+    // Keyboard cursor
+    state.shortcut("up", function () {
+
+        moveCursor(0, 1);
+
+    });
+    state.shortcut("right", function () {
+
+        moveCursor(1, 0);
+
+    });
+    state.shortcut("down", function () {
+
+        moveCursor(0, -1);
+
+    });
+    state.shortcut("left", function () {
+
+        moveCursor(-1, 0);
+
+    });
+    state.shortcut("enter", pickAtCursor);
+    state.shortcut("delete", removeAtCursor);
+    state.shortcut("backspace", removeAtCursor);
+
+    $(document).mousedown(hideCursor);
+
+    $(c.element).mousemove(function (e) {
+
+        pointer = locateCell(e.pageX, e.pageY);
+
+    });
+
+    // Zoom and pan
+    $("#untangly").bind("wheel", wheelZoom);
+    $(c.element).mousedown(startPan);
+
+    $(document).keydown(function (e) {
+
+        if (e.keyCode === 32 && !$(e.target).is("input, textarea, select")) { // <space>
+            e.preventDefault(); // don't scroll the page
+
+            pan.space = true;
+            $(c.element).css("cursor", "move");
+        }
+
+    });
+    $(document).keyup(function (e) {
+
+        if (e.keyCode === 32) {
+            pan.space = false;
+            $(c.element).css("cursor", "");
+        }
+
+    });
+
+    state.shortcut("ctrl+0", fit);
+
+    // Minimap
+    $(window).bind("scroll resize", placeView);
+
+    minimap.DOM.mousedown(function (e) {
+
+        minimapMove(e);
+
+        $(document).bind("mousemove.minimap", minimapMove);
+        $(document).bind("mouseup.minimap", function () {
+
+            $(document).unbind(".minimap");
+
+        });
+
+    });
+
+    // Clipboard, through the browser's own events so that nodes can be pasted
+    // between tabs
+    $(document).bind("copy cut", function (e) {
+
+        var list = targetsAtCursor();
+
+        if (!list.length || $(e.target).is("input, textarea, select")) {
+            return;
+        }
+
+        e.preventDefault();
+
+        e.originalEvent.clipboardData.setData("text/plain",
+                JSON.stringify(copyNodes(list)));
+
+        if (e.type === "cut") {
+            state.deactivate();
+
+            removeNodes(cellsOf(list));
+        }
+
+    });
+
+    $(document).bind("paste", function (e) {
+
+        var clip,
+            target = cursor.shown ? [cursor.x, cursor.y] : pointer ||
+                    [bound.east + 1, bound.north]; // beside the diagram
+
+        if ($(e.target).is("input, textarea, select")) {
+            return;
+        }
+
+        try {
+            clip = JSON.parse(e.originalEvent.clipboardData.getData("text/plain"));
+        } catch (error) {
+            return; // not for us
+        }
+
+        if (!clip || clip.format !== "untangly-clipboard") {
+            return;
+        }
+
+        e.preventDefault();
+
+        try {
+            pasteNodes(clip, target[0], target[1]);
+        } catch (error) {
+            alert(error.message);
+        }
+
+    });
+
+    // Configure UI elements
+    state.add("selection", {
+        activate: function activate(options) {
+
+            var i;
+
+            selection = options.nodes;
+
+            for (i = selection.length; i--;) {
+                c.adjust(selection[i].shape, {
+                    "stroke-width": 5
+                });
+            }
+
+        },
+        deactivate: function deactivate() {
+
+            var i;
+
+            for (i = selection.length; i--;) {
+                if (!selection[i].shape.removed) { // shape is gone if the node was deleted meanwhile
+                    c.adjust(selection[i].shape, {
+                        "stroke-width": 2
+                    });
+                }
+            }
+
+            selection = [];
+
+        }
+    });
+
+    state.add("menu", {
+        DOM: $("#menu"),
+        change: $("#change_shape"),
+        attributes: $("#attributes"),
+        style: $("#style"),
+        size: $("#size"),
+        lane: $("#lane"),
+        group: $("#group"),
+        connect: $("#connect"),
+        del: $("#delete"),
+        node: {},
+        activate: function activate(options) {
+
+            var node = options.node,
+                nodeLocation = $(node.shape.node).offset();
+
+            this.node = node;
+
+            // Only entities have attributes
+            $("#attributes_item").css("display", isEntity(node) ? "inline" : "none");
+
+            this.DOM.css("left", nodeLocation.left +
+                    node.shape.width * c.scale / 2 + 2 -
+                    this.DOM.outerWidth() / 2 + "px");
+            this.DOM.css("top", nodeLocation.top +
+                    node.shape.height * c.scale / 2 + 2 - 180 / 2 + "px");
+
+            c.adjust(node.shape, { // repeat this inside Shapes.eventHandler = ... below
+                "stroke-width": 5
+            });
+
+            this.DOM.css("display", "block");
+
+            this.change.unbind();
+            this.change.click(function (e) {
+
+                e.preventDefault();
+
+                state.activate("shapes", {
+                    master: "menu",
+                    node: node,
+                    scale: c.scale
+                });
+
+                Shapes.eventHandler = function (pathData, element) {
+
+                    var cells = cellsOf(targetsOf(node)),
+                        i;
+
+                    engageNodes(cells, pathData, element);
+
+                    for (i = cells.length; i--;) {
+                        c.adjust(grid[cells[i][0]][cells[i][1]].shape, { // repeat this in c.adjust(...) above
+                            "stroke-width": 5
+                        });
+                    }
+
+                    c.adjust(node.shape, {
+                        cursor: "move"
+                    });
+
+                };
+
+            });
+
+            this.attributes.unbind();
+            this.attributes.click(function (e) {
+
+                e.preventDefault();
+
+                state.activate("label", {
+                    node: node,
+                    attributes: true
+                });
+
+            });
+
+            this.style.unbind();
+            this.style.click(function (e) {
+
+                e.preventDefault();
+
+                state.activate("style", {
+                    master: "menu",
+                    node: node
+                });
+
+            });
+
+            this.size.unbind();
+            this.size.click(function (e) {
+
+                e.preventDefault();
+
+                state.activate("size", {
+                    master: "menu",
+                    node: node
+                });
+
+            });
+
+            // Lanes take the rows of the nodes, groups their rows and columns
+            this.lane.unbind();
+            this.group.unbind();
+            $.each([this.lane, this.group], function (i, item) {
+
+                item.click(function (e) {
+
+                    var type = i ? "group" : "lane",
+                        list = targetsOf(node), // before the selection is cleared
+                        rows = [-Infinity, Infinity],
+                        columns = [Infinity, -Infinity],
+                        span,
+                        label,
+                        j;
+
+                    e.preventDefault();
+
+                    state.deactivate();
+
+                    for (j = list.length; j--;) {
+                        span = spanOf(list[j]);
+
+                        rows = [Math.max(rows[0], list[j].y),
+                                Math.min(rows[1], list[j].y - span.rows + 1)];
+                        columns = [Math.min(columns[0], list[j].x),
+                                Math.max(columns[1], list[j].x + span.columns - 1)];
+                    }
+
+                    label = prompt("Name of the " + type, "");
+
+                    if (label !== null && $.trim(label)) {
+                        addContainer({
+                            type: type,
+                            label: $.trim(label),
+                            rows: rows,
+                            columns: i ? columns : undefined
+                        });
+                    }
+
+                });
+
+            });
+
+            this.connect.unbind();
+            this.connect.click(function (e) {
+
+                e.preventDefault();
+
+                state.activate("connect", {
+                    node: node
+                });
+
+            });
+
+            this.del.unbind();
+            this.del.click(function (e) {
+
+                var cells = cellsOf(targetsOf(node)); // before the selection is cleared
+
+                e.preventDefault();
+
+                state.deactivate();
+
+                removeNodes(cells);
+
+            });
+
+        },
+        deactivate: function deactivate() {
+
+            c.adjust(this.node.shape, {
+                "stroke-width": $.inArray(this.node, selection) === -1 ? 2 : 5,
+                cursor: "pointer"
+            });
+
+            this.DOM.css("display", "none");
+
+        }
+    });
+
+    // Changes apply at once to the node, or to the selection it's part of
+    state.add("style", {
+        DOM: $("#style_editor"),
+        fill: $("#style_fill"),
+        stroke: $("#style_stroke"),
+        line: $("#style_line"),
+        opacity: $("#style_opacity"),
+        reset: $("#style_reset"),
+        activate: function activate(options) {
+
+            var node = options.node,
+                style = node.style || {},
+                menu = $("#menu"),
+                apply = function apply(change) {
+
+                    styleNodes(cellsOf(targetsOf(node)), change);
+
+                };
+
+            this.fill.val(style.fill ||
+                    (catalogue.isFilled(node.shapePath) ? palette.stroke : palette.fill));
+            this.stroke.val(style.stroke || palette.stroke);
+            this.line.val(style.line || "solid");
+            this.opacity.val(String(style.opacity === undefined ? 1 : style.opacity));
+
+            this.fill.unbind().change(function () {
+
+                apply({fill: this.value});
+
+            });
+            this.stroke.unbind().change(function () {
+
+                apply({stroke: this.value});
+
+            });
+            this.line.unbind().change(function () {
+
+                apply({line: this.value});
+
+            });
+            this.opacity.unbind().change(function () {
+
+                apply({opacity: parseFloat(this.value)});
+
+            });
+            this.reset.unbind().click(function (e) {
+
+                e.preventDefault();
+
+                apply(null);
+
+                state.deactivate("style");
+
+            });
+
+            // Below the menu
+            this.DOM.css("display", "block");
+            this.DOM.css("left", menu.offset().left + "px");
+            this.DOM.css("top", menu.offset().top + menu.outerHeight() + "px");
+
+        },
+        deactivate: function deactivate() {
+
+            this.DOM.css("display", "none");
+
+        }
+    });
+
+    // Resizes the node, or the selection it's part of, to span the cells chosen
+    state.add("size", {
+        DOM: $("#size_editor"),
+        columns: $("#size_columns"),
+        rows: $("#size_rows"),
+        activate: function activate(options) {
+
+            var editor = this,
+                node = options.node,
+                span = spanOf(node),
+                menu = $("#menu"),
+                apply = function apply() {
+
+                    try {
+                        spanNodes(cellsOf(targetsOf(node)), {
+                            columns: +editor.columns.val(),
+                            rows: +editor.rows.val()
+                        });
+                    } catch (error) {
+                        alert(error.message);
+
+                        editor.columns.val(String(spanOf(node).columns));
+                        editor.rows.val(String(spanOf(node).rows));
+                    }
+
+                };
+
+            this.columns.val(String(span.columns));
+            this.rows.val(String(span.rows));
+
+            this.columns.unbind().change(apply);
+            this.rows.unbind().change(apply);
+
+            // Below the menu
+            this.DOM.css("display", "block");
+            this.DOM.css("left", menu.offset().left + "px");
+            this.DOM.css("top", menu.offset().top + menu.outerHeight() + "px");
+
+        },
+        deactivate: function deactivate() {
+
+            this.DOM.css("display", "none");
+
+        }
+    });
+
+    // Edits the attributes of entities too, one per line, if activated with
+    // the "attributes" option set
+    state.add("label", {
+        DOM: $("#label_editor"),
+        node: {},
+        cancelled: false,
+        attributes: false,
+        activate: function activate(options) {
 
-            switch (direction) {
-            case "north":
-                bound.north += value;
-                resizeCanvas();
-                object = pixel.object;
-                space = pixel.space;
-                for (i = node.length; i--;) {
-                    c.move(node[i].shape, 0, (space + object) * value);
-                }
-                break;
+            var editor = this,
+                node = options.node,
+                nodeLocation = $(node.shape.node).offset();
 
-            case "east":
-                bound.east += value;
-                resizeCanvas();
-                break;
+            this.node = node;
+            this.cancelled = false;
+            this.attributes = !!options.attributes;
 
-            case "south":
-                bound.south += value;
-                resizeCanvas();
-                break;
+            this.DOM.unbind("keydown");
+            this.DOM.keydown(function (e) {
 
-            case "west":
-                bound.west += value;
-                resizeCanvas();
-                object = pixel.object;
-                space = pixel.space;
-                for (i = node.length; i--;) {
-                    c.move(node[i].shape, (space + object) * value, 0);
+                if (e.keyCode === 13 && !e.shiftKey) { // <enter>, <shift>+<enter> starts a new line
+                    e.preventDefault();
+                    state.deactivate("label");
+                } else if (e.keyCode === 27) { // <esc> itself is handled by U.state
+                    editor.cancelled = true;
                 }
-                break;
 
-            default:
-                for (i = node.length; i--;) {
-                    allX.push(node[i].x);
-                    allY.push(node[i].y);
-                }
-                adjustBound("north", Math.max.apply(Math, allY) - bound.north);
-                adjustBound("east", Math.max.apply(Math, allX) - bound.east);
-                adjustBound("south", -Math.min.apply(Math, allY) - bound.south); // all y below origin are negative
-                adjustBound("west", -Math.min.apply(Math, allX) - bound.west); // all x left of origin are negative
-                break;
-            }
+            });
+
+            this.DOM.val(this.attributes ? (node.attributes || []).join("\n") :
+                    node.label || "");
+
+            this.DOM.css("display", "block");
+
+            this.DOM.css("left", nodeLocation.left +
+                    node.shape.width * c.scale / 2 -
+                    this.DOM.outerWidth() / 2 + "px");
+            this.DOM.css("top", nodeLocation.top +
+                    node.shape.height * c.scale / 2 -
+                    this.DOM.outerHeight() / 2 + "px");
+
+            this.DOM.focus().select();
 
         },
+        deactivate: function deactivate() {
 
-        /**
-         * Creates a new blank node.
-         *
-         * @method createNode
-         *
-         * @param {integer} x Grid x coordinate of the new node.
-         * @param {integer} y Grid y coordinate of the new node.
-         */
-        createSingleNode = function (x, y) {
+            var node = this.node,
+                lines,
+                list = [],
+                i;
 
-            if (grid[x] === undefined) {
-                grid[x] = []; // referencing grid[x][y] throws error if grid[x] is undefined
+            this.DOM.css("display", "none").blur();
+
+            if (this.cancelled || node.type !== "engaged") {
+                return;
             }
 
-            if (grid[x][y] === undefined) {
-                var pixel = [],
-                    newNode = {};
+            if (!this.attributes) {
+                labelNode(node, $.trim(this.DOM.val()));
 
-                // If node is beyond current bound, expand bound and resize canvas
-                if (y > bound.north) {
-                    adjustBound("north", 1);
-                } else if (x > bound.east) {
-                    adjustBound("east", 1);
-                } else if (y < -bound.south) {
-                    adjustBound("south", 1);
-                } else if (x < -bound.west) {
-                    adjustBound("west", 1);
-                }
+                return;
+            }
 
-                pixel = locateNode(x, y); // must be done only after bounds are adjusted
+            lines = this.DOM.val().split("\n");
 
-                newNode = {
-                    x: x,
-                    y: y,
-                    id: node.length,
-                    type: "single",
-                    shape: c.create("circle", {
-                        cx: pixel[0],
-                        cy: pixel[1],
-                        r: 0,
-                        fill: "black",
-                        stroke: "none",
-                        cursor: "pointer"
-                    })
-                };
+            for (i = 0; i < lines.length; i += 1) {
+                if ($.trim(lines[i])) {
+                    list.push($.trim(lines[i]));
+                }
+            }
 
-                grid[x][y] = newNode;
-                node.push(newNode);
+            attributeNode(node, list);
 
-                // Make Single node "pop" onto screen
-                c.animate(newNode.shape, {r: 10.5}, 110).
-                        animate(newNode.shape, {r: 6.5}, 140).animate();
+        }
+    });
 
-                $(newNode.shape.node).click(function () {
+    state.add("connect", {
+        DOM: $("#connect_hint"),
+        activate: function activate(options) {
 
-                    state.activate("shapes", {
-                        node: newNode 
-                    });
+            connecting = options.node;
 
-                    Shapes.eventHandler = function (pathData) {
+            c.adjust(connecting.shape, {
+                "stroke-width": 5
+            });
 
-                        createEngagedNode(x, y, pathData);
+            this.DOM.css("display", "block");
 
-                    };
+        },
+        deactivate: function deactivate() {
 
+            if (!connecting.shape.removed) { // shape is gone if the node was deleted meanwhile
+                c.adjust(connecting.shape, {
+                    "stroke-width": 2
                 });
+            }
 
+            connecting = null;
 
-                return newNode;
-            }
+            this.DOM.css("display", "none");
 
-        },
+        }
+    });
+
+
+    // Public API
+    return {
+        save: save,
+        load: load,
+        snapshots: snapshots,
+        restore: restore,
+        undo: undo,
+        redo: redo,
+        fit: fit,
+        configure: configure,
+        addContainer: addContainer,
+        importMermaid: importMermaid,
+        defineTheme: defineTheme,
+        useTheme: useTheme,
+        exportSVG: exportSVG,
+        exportPNG: exportPNG
+    };
+
+}());
+
+
+// Configures the admin panel
+(function () {
 
+    // Dependencies
+    var untangly = U.Untangly,
+
+
+    // Private methods
         /**
-         * Draws a flowcharting shape for the given node.
+         * Offers the content to the user as a file to download.
          *
-         * @method engageNode
+         * @method download
          *
-         * @param {integer} x Grid x coordinate of node for which to draw shape.
-         * @param {integer} y Grid y coordiante of node for which to draw shape.
-         * @param {string} pathData SVG Path Data of the shape to draw
-         *      (http://www.w3.org/TR/2003/REC-SVG11-20030114/paths.html#PathData).
+         * @param {string} content The content itself, or a "data:" URL of it
+         *      if "type" is omitted.
+         * @param {string} type [Optional] MIME type of the content.
+         * @param {string} name Suggested file name.
          */
-        createEngagedNode = function (x, y, pathData) {
+        download = function download(content, type, name) {
 
-            var selectedNode = grid[x][y],
-                selectedNodeElement,
-                body = $("body"),
-                pixel = locateNode(x, y);
+            var link = $("<a/>", {
+                    href: type ?
+                            URL.createObjectURL(new Blob([content], {type: type})) :
+                            content,
+                    download: name
+                }).appendTo("body");
 
-            selectedNode.shapePath = pathData;
+            link[0].click();
+            link.remove();
 
-            pixel[0] -= 44.5; // x
-            pixel[1] -= 44.5; // y
+        };
 
-            pathData = pathData.split(" ");
-            pathData[1] = +pathData[1] + pixel[0];
-            pathData[2] = +pathData[2] + pixel[1];
-            pathData.join(" ");
+    // End var
 
-            c.remove(selectedNode.shape);
 
-            selectedNode.shape = c.create("path", {
-                d: pathData,
-                stroke: "black",
-                "stroke-width": 2,
-                fill: "white",
-                cursor: "pointer"
-            });
+    // Save the diagram to a file
+    $("#save").click(function (e) {
 
-            selectedNodeElement = $(selectedNode.shape.node);
+        e.preventDefault();
 
-            selectedNodeElement.click(function () {
+        download(JSON.stringify(untangly.save(), null, 2), "application/json",
+                "diagram.untangly.json");
 
-                state.activate("menu", {
-                    node: grid[x][y]
-                });
+    });
 
-            });
+    // Export the diagram to an SVG file
+    $("#export_svg").click(function (e) {
 
-            selectedNode.type = "engaged";
+        e.preventDefault();
 
-            createSingleNode(x, (y + 1)); // North
-            createSingleNode((x + 1), y); // East
-            createSingleNode(x, (y - 1)); // South
-            createSingleNode((x - 1), y); // West
+        download(untangly.exportSVG(), "image/svg+xml", "diagram.svg");
 
-            return selectedNode;
+    });
 
-        },
+    // Export the diagram to a PNG file at the chosen resolution and background
+    $("#export_png").click(function (e) {
 
-        /**
-         * Removes the node and amends the remaining nodes by removing any
-         * floating Single nodes. Can only be called on Engaged nodes.
-         *
-         * @method deleteNode
-         *
-         * @param {integer} x The x coordinate of the node to be removed.
-         * @param {integer} y The y coordinate of the node to be removed.
-         */
-        deleteNode = function deleteNode(x, y) {
+        e.preventDefault();
 
-            var test = [], // list of Single nodes that will be removed if no adjacent Engaged node is found
-                l = node.length,
-                deletedNode = grid[x][y],
-                i;
+        download(untangly.exportPNG({
+            scale: +$("#png_scale").val(),
+            background: $("#png_background").val()
+        }), null, "diagram.png");
 
-            c.remove(deletedNode.shape);
+    });
 
-            node[l - 1].id = deletedNode.id;
-            node[deletedNode.id] = node[l - 1];
-            node.pop();
+    // Show the whole diagram
+    $("#fit").click(function (e) {
 
-            grid[x][y] = undefined;
+        e.preventDefault();
 
-            createSingleNode(x, y);
+        untangly.fit();
 
-            if (l !== 5) { // don't ever let the last Single node be removed
-                test.push(grid[x][y]); // test the Single node placed in stead of the removed Engaged node
-            }
+    });
 
-            if (grid[x][y + 1].type === "single") { // North
-                test.push(grid[x][y + 1]);
-            }
+    // Change the size of the nodes and the gaps between them
+    $("#node_size, #node_gap").change(function () {
 
-            if (grid[x + 1][y].type === "single") { // East
-                test.push(grid[x + 1][y]);
-            }
+        try {
+            untangly.configure({
+                object: +$("#node_size").val(),
+                space: +$("#node_gap").val()
+            });
+        } catch (error) {
+            alert(error.message);
+        }
 
-            if (grid[x][y - 1].type === "single") { // South
-                test.push(grid[x][y - 1]);
-            }
+    });
 
-            if (grid[x - 1][y].type === "single") { // West
-                test.push(grid[x - 1][y]);
-            }
+    // Draw the diagram in the chosen theme
+    $("#theme").change(function () {
 
-            for (i = test.length; i--;) {
-                deletedNode = test[i];
-                x = deletedNode.x;
-                y = deletedNode.y;
+        try {
+            untangly.useTheme(this.value);
+        } catch (error) {
+            alert(error.message);
+        }
 
-                if (grid[x][y + 1]) {
-                    if (grid[x][y + 1].type === "engaged") { // North
-                        continue;
-                    }
-                }
+    });
 
-                if (grid[x + 1] && grid[x + 1][y]) { // throws error when x is beyond bound.east if grid[x + 1] isn't tested
-                    if (grid[x + 1][y].type === "engaged") { // East
-                        continue;
-                    }
-                }
+    // Load a theme from a JSON file, adding it to the themes to choose from
+    $("#load_theme").click(function (e) {
 
-                if (grid[x][y - 1]) {
-                    if (grid[x][y - 1].type === "engaged") { // South
-                        continue;
-                    }
-                }
+        e.preventDefault();
 
-                if (grid[x - 1] && grid[x - 1][y]) { // throws error when x is beyond bound.west if grid[x - 1] isn't tested
-                    if (grid[x - 1][y].type === "engaged") { // West
-                        continue;
-                    }
-                }
+        $("#theme_file").click();
+
+    });
 
-                c.remove(deletedNode.shape);
+    $("#theme_file").change(function () {
 
-                l = node.length;
+        var input = this,
+            reader = new FileReader();
 
-                node[l - 1].id = deletedNode.id;
-                node[deletedNode.id] = node[l - 1];
-                node.pop();
+        reader.onload = function () {
 
-                grid[x][y] = undefined;
+            var name,
+                list = $("#theme");
+
+            try {
+                name = untangly.defineTheme(reader.result);
+
+                if (!list.find("option").filter(function () {
+                        return this.value === name;
+                    }).length) {
+                    $("<option/>", {
+                        value: name,
+                        text: name
+                    }).appendTo(list);
+                }
+
+                list.val(name);
+                untangly.useTheme(name);
+            } catch (error) {
+                alert("The theme couldn't be loaded: " + error.message);
             }
 
-            adjustBound();
+            input.value = ""; // allow the same file to be loaded again
 
         };
 
-    // End var
-
+        if (input.files.length) {
+            reader.readAsText(input.files[0]);
+        }
 
-    // Initialisation procedures
-    resizeCanvas();
+    });
 
-    // Initialisation proceedures
-    setTimeout(function () {
-        createSingleNode(0, 0); // start program
-    }, 300);
+    // Load the diagram from a file
+    $("#load").click(function (e) {
 
-    // Configure UI elements
-    state.add("menu", {
-        DOM: $("#menu"),
-        change: $("#change_shape"),
-        del: $("#delete"),
-        node: {},
-        activate: function activate(options) {
+        e.preventDefault();
 
-            var node = options.node,
-                nodeLocation = $(node.shape.node).offset();
+        $("#load_file").click();
 
-            this.node = node;
+    });
 
-            this.DOM.css("left", nodeLocation.left + node.shape.width / 2 + 2 -
-                    180 / 2 + "px");
-            this.DOM.css("top", nodeLocation.top + node.shape.height / 2 + 2 -
-                    180 / 2 + "px");
+    // Import a Mermaid flowchart from a file
+    $("#import").click(function (e) {
 
-            c.adjust(node.shape, { // repeat this inside Shapes.eventHandler = ... below
-                "stroke-width": 5
-            });
+        e.preventDefault();
 
-            this.DOM.css("display", "block");
+        $("#import_file").click();
 
-            this.change.unbind();
-            this.change.click(function (e) {
+    });
 
-                e.preventDefault();
+    // List the snapshots kept in local storage each time the list is opened
+    $("#history").bind("mousedown focus", function () {
 
-                state.activate("shapes", {
-                    master: "menu",
-                    node: node
-                });
+        var times = untangly.snapshots(),
+            list = $(this).empty(),
+            i;
 
-                Shapes.eventHandler = function (pathData) {
+        $("<option/>", {
+            value: "",
+            text: times.length ? "restore\u2026" : "no history"
+        }).appendTo(list);
 
-                    var x = node.x,
-                        y = node.y;
+        for (i = 0; i < times.length; i += 1) {
+            $("<option/>", {
+                value: i,
+                text: new Date(times[i]).toLocaleString()
+            }).appendTo(list);
+        }
 
-                    createEngagedNode(x, y, pathData);
+    });
 
-                    c.adjust(grid[x][y].shape, { // repeat this in c.adjust(...) above
-                        "stroke-width": 5,
-                        cursor: "move"
-                    });
+    $("#history").change(function () {
 
-                };
+        if (this.value !== "") {
+            untangly.restore(+this.value);
+        }
 
-            });
+        this.selectedIndex = 0;
+        this.blur();
 
-            this.del.unbind();
-            this.del.click(function (e) {
+    });
 
-                e.preventDefault();
-                
-                state.deactivate();
+    $("#load_file").change(function () {
 
-                deleteNode(node.x, node.y);
+        var input = this,
+            reader = new FileReader();
 
-            });
+        reader.onload = function () {
 
-        },
-        deactivate: function deactivate() {
+            try {
+                untangly.load(JSON.parse(reader.result));
+            } catch (error) {
+                alert("The diagram couldn't be loaded: " + error.message);
+            }
 
-            c.adjust(this.node.shape, {
-                "stroke-width": 2,
-                cursor: "pointer"
-            });
+            input.value = ""; // allow the same file to be loaded again
 
-            this.DOM.css("display", "none");
+        };
 
+        if (input.files.length) {
+            reader.readAsText(input.files[0]);
         }
+
     });
 
-}());
+    $("#import_file").change(function () {
 
+        var input = this,
+            reader = new FileReader();
 
-// Adds flowcharting shapes
-(function () {
+        reader.onload = function () {
 
-    // Dependencies
-    var Shapes = U.Shapes,
-
-
-    // Shape categories
-        basic = new Shapes("Basic");
-
-
-    // Basic shapes
-    basic.add( // generic processing step: rectangle
-        "M 0 6.5 h 34 v 21 h -34 Z",
-        "M 0 17 h 89 v 55 h -89 Z"
-    );
-    basic.add( // input/output: parallelogram
-        "M 2.5 6.5 h 34 l -5 21 h -34 Z",
-        "M 6.5 17 h 89 l -13 55 h -89 Z"
-    );
-    basic.add( // prepare conditional: hexagon
-        "M 2.5 6.5 h 29 l 5 10.5 l -5 10.5 h -29 l -5 -10.5 Z",
-        "M 6.5 17 h 76 l 13 27.5 l -13 27.5 h -76 l -13 -27.5 Z"
-    );
-    basic.add( // conditional: rhombus
-        "M 0 17 l 17 -17 l 17 17 l -17 17 Z",
-        "M 0 44.5 l 44.5 -44.5 l 44.5 44.5 l -44.5 44.5 Z"
-    );
-    // To find the distance l of the control point from the start/end point:
-    //  l = r x 4(root(2) - 1) / 3
-    // where r is the radius.
-    // When r = 32 / 2 = 17, l = 9.3888 ~= 9.4
-    // When r = 89 / 2 = 44.5, l = 24.57667 ~= 24.6
-    // Note: One point will be (r / 2) - l to relatively position control points correctly
-    basic.add( // start/end: circle
-        "M 0 17 c 0 -9.4 9.6 -17 17 -17 c 9.4 0 17 9.6 17 17 c 0 9.4 -9.6 17 -17 17 c -9.4 0 -17 -9.6 -17 -17",
-        "M 0 44.5 c 0 -24.6 19.9 -44.5 44.5 -44.5 c 24.6 0 44.5 19.9 44.5 44.5 c 0 24.6 -19.9 44.5 -44.5 44.5 c -24.6 0 -44.5 -19.9 -44.5 -44.5"
-    );
-    basic.add( // manual input: quadrilateral with top sloping up from left to right
-        "M 0 11.5 l 34 -5 v 21 h -34 Z",
-        "M 0 30 l 89 -13 v 55 h -89 Z"
-    );
-    basic.add( // manual operation: Trapezoid with longer side top
-        "M -2.5 6.5 h 39 l -5 21 h -29 Z",
-        "M -6.5 17 h 102 l -13 55 h -76 Z"
-    );
-    basic.add( // data file: cylinder
-        "M 6.5 0 v 34 q 10.5 5 21 0 v -34 q -10.5 -5 -21 0 q 10.5 4 21 0",
-        "M 17 0 v 89 q 27.5 13 55 0 v -89 q -27.5 -13 -56 1 m 1 -1 q 27.5 13 55 0"
-    );
-    basic.add( // document: rectangle with wavy base
-        "M 0 6.5 h 34 v 19 c -17 0 -17 8 -34 2 Z",
-        "M 0 17 h 89 v 52 c -44.5 0 -44.5 13 -89 3 Z"
-    );
-    // TODO WHEN ADDING NEW GROUP TEST FOR BUG IN THE WAY CANVAS IS HANDLEDBY Shapes
+            try {
+                untangly.importMermaid(reader.result);
+            } catch (error) {
+                alert("The flowchart couldn't be imported: " + error.message);
+            }
+
+            input.value = ""; // allow the same file to be imported again
+
+        };
+
+        if (input.files.length) {
+            reader.readAsText(input.files[0]);
+        }
+
+    });
 
 }());